@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+import { backfillOrders } from './src/services/backfillService.js';
+import { closeStorage } from './src/services/storage/index.js';
+import { getShopConfig, getAvailableShops } from './src/config/shopConfigs.js';
+
+/**
+ * Historical order backfill into storage.
+ * Walks the range in day or week windows and checkpoints after every page,
+ * so re-running the same command resumes after a crash or a rate limit.
+ */
+
+const USAGE = `
+📦 Historical Backfill
+
+Usage:
+  node backfill.js --shop <shop-type|all> --from YYYY-MM-DD --to YYYY-MM-DD [--window day|week] [--bulk] [--restart]
+
+Days are counted in each shop's timezone.
+
+Examples:
+  node backfill.js --shop vending --from 2024-01-01 --to 2025-12-31
+  node backfill.js --shop all --from 2024-01-01 --to 2025-12-31 --window day
+  node backfill.js --shop b2b --from 2024-01-01 --to 2025-12-31 --bulk   # one bulk export per window
+
+Available shops: ${getAvailableShops().join(', ')}
+`;
+
+function parseArgs(args) {
+  const options = { window: "week", bulk: false, restart: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--shop':
+        options.shop = args[++i];
+        break;
+      case '--from':
+        options.from = args[++i];
+        break;
+      case '--to':
+        options.to = args[++i];
+        break;
+      case '--window':
+        options.window = args[++i];
+        break;
+      case '--bulk':
+        options.bulk = true;
+        break;
+      case '--restart':
+        options.restart = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+// Shop types to backfill, skipping ones that share a store with an earlier one
+function resolveShops(shop) {
+  if (shop !== "all") return [shop];
+
+  const seen = new Set();
+  return getAvailableShops().filter(shopType => {
+    const domain = getShopConfig(shopType).shop;
+    if (!domain || seen.has(domain)) return false;
+    seen.add(domain);
+    return true;
+  });
+}
+
+// Main execution
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options.shop || !options.from || !options.to) {
+      console.log(USAGE);
+      return;
+    }
+    if (options.shop !== "all" && !getAvailableShops().includes(options.shop)) {
+      console.error(`❌ Unknown shop: ${options.shop}`);
+      console.log(USAGE);
+      process.exit(1);
+    }
+
+    const results = {};
+    for (const shopType of resolveShops(options.shop)) {
+      try {
+        results[shopType] = await backfillOrders(shopType, { ...options, requestId: "backfill" });
+      } catch (error) {
+        console.error(`❌ Backfill stopped for ${shopType}:`, error.message);
+        console.error('   Run the same command again to resume from the last checkpoint.');
+        results[shopType] = { error: error.message };
+      }
+    }
+
+    await closeStorage();
+
+    if (Object.values(results).some(result => result.error)) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('Execution failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -1,6 +1,9 @@
 #!/usr/bin/env node
 
 import ShopifyClient from './src/services/shopifyClient.js';
+import { closeStorage } from './src/services/storage/index.js';
+import { saveYesterdayMetrics } from './src/services/metricsService.js';
+import { EXPORT_FORMATS } from './src/utils/exporter.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -14,28 +17,35 @@ import path from 'path';
  * - cogs
  * - units sold
  * - capsules sold
+ *
+ * --format csv|xlsx also writes the summary and product lists (plus order rows
+ * with --orders) next to the JSON file.
  */
 
-async function getMetrics(shopType = "ecommerce") {
+async function getMetrics(shopType = "ecommerce", { format = "json", includeOrders = false } = {}) {
   console.log(`🔍 Getting metrics for ${shopType}...`);
   
   try {
-    const client = new ShopifyClient(shopType);
-    const data = await client.fetchYesterdayData();
-    
-    const metrics = data.summary;
+    const { shop, metrics, completeness, meta, file, exportFile } = await saveYesterdayMetrics(shopType, { format, includeOrders, requestId: "cli" });
     
     console.log('\n📊 METRICS SUMMARY');
     console.log('==================');
-    console.log(`Shop: ${data.shop}`);
+    console.log(`Shop: ${shop}`);
     console.log(`Date: ${metrics.dateRange.from}`);
     console.log('');
     console.log('💰 FINANCIAL METRICS');
     console.log(`Total Sales: $${metrics.totalSales}`);
     console.log(`Gross Sales: $${metrics.grossSales}`);
+    console.log(`Net Sales: $${metrics.netSales}`);
     console.log(`Gross Profit: $${metrics.grossProfit}`);
     console.log(`Gross Profit Margin: ${metrics.grossProfitMargin}%`);
     console.log(`COGS: $${metrics.totalCOGS}`);
+    if (metrics.missingCost.units > 0) {
+      console.log(`⚠️  No unit cost: ${metrics.missingCost.units} units ($${metrics.missingCost.revenue} sales) left out of COGS`);
+      metrics.missingCost.items.slice(0, 5).forEach(item => {
+        console.log(`   - ${item.title}${item.sku ? ` (${item.sku})` : ''}: ${item.units} units`);
+      });
+    }
     console.log('');
     console.log('📈 ORDER METRICS');
     console.log(`Orders: ${metrics.totalOrders}`);
@@ -44,40 +54,28 @@ async function getMetrics(shopType = "ecommerce") {
     console.log('📦 PRODUCT METRICS');
     console.log(`Units Sold: ${metrics.totalUnitsSold}`);
     console.log(`Capsules Sold: ${metrics.totalCapsulesSold}`);
+    metrics.capsulePacks.forEach(pack => {
+      console.log(`   ${pack.packs} × ${pack.packSize}-pack = ${pack.capsules} capsules`);
+    });
     console.log('');
     console.log('💸 OTHER METRICS');
     console.log(`Total Refunded: $${metrics.totalRefunded}`);
     console.log(`Total Discounts: $${metrics.totalDiscounts}`);
     console.log(`Total Tax: $${metrics.totalTax}`);
     console.log(`Total Shipping: $${metrics.totalShipping}`);
+    console.log('');
+    console.log(`🔌 API Requests: ${meta.requests} (retries: ${meta.retries})`);
+    if (completeness.truncated) {
+      console.log(`⚠️  Data is truncated after ${completeness.pagesFetched} pages, totals are partial`);
+    }
+    if (completeness.incompleteOrders.length > 0) {
+      console.log(`⚠️  ${completeness.incompleteOrders.length} orders have line items missing, units are undercounted`);
+    }
     
-    // Save to file
-    const filename = `metrics-${shopType}-${metrics.dateRange.from}.json`;
-    await fs.writeFile(
-      path.join('./data', filename),
-      JSON.stringify({
-        shopType,
-        shop: data.shop,
-        date: metrics.dateRange.from,
-        metrics: {
-          totalSales: metrics.totalSales,
-          grossSales: metrics.grossSales,
-          grossProfit: metrics.grossProfit,
-          grossProfitMargin: metrics.grossProfitMargin,
-          orders: metrics.totalOrders,
-          aov: metrics.averageOrderValue,
-          cogs: metrics.totalCOGS,
-          unitsSold: metrics.totalUnitsSold,
-          capsulesSold: metrics.totalCapsulesSold,
-          totalRefunded: metrics.totalRefunded,
-          totalDiscounts: metrics.totalDiscounts,
-          totalTax: metrics.totalTax,
-          totalShipping: metrics.totalShipping
-        }
-      }, null, 2)
-    );
-    
-    console.log(`\n💾 Metrics saved to: ./data/${filename}`);
+    console.log(`\n💾 Metrics saved to: ${file}`);
+    if (exportFile) {
+      console.log(`📄 Export saved to: ${exportFile}`);
+    }
     
     return metrics;
     
@@ -87,7 +85,7 @@ async function getMetrics(shopType = "ecommerce") {
   }
 }
 
-async function getAllShopsMetrics() {
+async function getAllShopsMetrics(options = {}) {
   const availableShops = ShopifyClient.getAvailableShops();
   console.log('🏪 Getting metrics for all shops...');
   console.log('Available shops:', availableShops);
@@ -97,7 +95,7 @@ async function getAllShopsMetrics() {
   for (const shopType of availableShops) {
     try {
       console.log(`\n🔄 Processing ${shopType}...`);
-      allMetrics[shopType] = await getMetrics(shopType);
+      allMetrics[shopType] = await getMetrics(shopType, options);
     } catch (error) {
       console.error(`❌ Error processing ${shopType}:`, error.message);
       allMetrics[shopType] = { error: error.message };
@@ -119,14 +117,25 @@ async function getAllShopsMetrics() {
 // Main execution
 async function main() {
   const args = process.argv.slice(2);
-  const shopType = args[0] || "ecommerce";
+  const formatIndex = args.indexOf('--format');
+  const format = formatIndex !== -1 ? args[formatIndex + 1] : "json";
+  const includeOrders = args.includes('--orders');
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && (formatIndex === -1 || index !== formatIndex + 1));
+  const shopType = positional[0] || "ecommerce";
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(`Unknown format: ${format}. Available formats: ${EXPORT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
   
   try {
     if (shopType === "all") {
-      await getAllShopsMetrics();
+      await getAllShopsMetrics({ format, includeOrders });
     } else {
-      await getMetrics(shopType);
+      await getMetrics(shopType, { format, includeOrders });
     }
+
+    await closeStorage();
   } catch (error) {
     console.error('Execution failed:', error.message);
     process.exit(1);
@@ -1,12 +1,18 @@
 import ShopifyClient from './src/services/shopifyClient.js';
+import { persistProducts, persistOrders, persistCustomers, closeStorage } from './src/services/storage/index.js';
+import { getPackSizeResolver } from './src/services/packSizes.js';
+import { EXPORT_FORMATS, buildDetailedReport, renderExport } from './src/utils/exporter.js';
 import fs from 'fs/promises';
 import path from 'path';
 
 class DataPuller {
-  constructor(shopType = "ecommerce") {
+  // options.format (csv or xlsx) also exports yesterday's data, options.includeOrders adds order rows to it
+  constructor(shopType = "ecommerce", { format = "json", includeOrders = false } = {}) {
     this.shopType = shopType;
     this.client = new ShopifyClient(shopType);
     this.outputDir = './data';
+    this.format = format;
+    this.includeOrders = includeOrders;
   }
 
   async ensureOutputDir() {
@@ -41,6 +47,7 @@ class DataPuller {
     try {
       const productsData = await this.client.getProducts(limit);
       await this.saveToFile('products.json', productsData);
+      await persistProducts(this.shopType, productsData.products.edges.map(edge => edge.node));
       return productsData;
     } catch (error) {
       console.error('Error pulling products:', error.message);
@@ -48,11 +55,25 @@ class DataPuller {
     }
   }
 
+  // Orders are fetched with the fields sync and backfill store (every line item,
+  // money fields and refunds), so storing them never overwrites a complete order
   async pullOrders(limit = 50) {
     console.log(`Pulling orders (limit: ${limit})...`);
     try {
-      const ordersData = await this.client.getOrders(limit);
+      const orders = [];
+      let pageInfo = { hasNextPage: true, endCursor: null };
+      while (orders.length < limit && pageInfo.hasNextPage) {
+        const page = await this.client.fetchOrdersPage('', {
+          cursor: pageInfo.endCursor,
+          first: Math.min(limit - orders.length, 100),
+        });
+        orders.push(...page.nodes);
+        pageInfo = page.pageInfo;
+      }
+
+      const ordersData = { orders: { nodes: orders, pageInfo } };
       await this.saveToFile('orders.json', ordersData);
+      await persistOrders(this.shopType, orders);
       return ordersData;
     } catch (error) {
       console.error('Error pulling orders:', error.message);
@@ -65,6 +86,7 @@ class DataPuller {
     try {
       const customersData = await this.client.getCustomers(limit);
       await this.saveToFile('customers.json', customersData);
+      await persistCustomers(this.shopType, customersData.customers.edges.map(edge => edge.node));
       return customersData;
     } catch (error) {
       console.error('Error pulling customers:', error.message);
@@ -85,6 +107,14 @@ class DataPuller {
       // Save the data
       const filename = `yesterday-${this.shopType}-${yesterdayData.summary.dateRange.from}.json`;
       await this.saveToFile(filename, yesterdayData);
+
+      if (this.format !== "json") {
+        const report = buildDetailedReport(yesterdayData, { packSizes: await getPackSizeResolver(), includeOrders: this.includeOrders });
+        const { body, extension } = await renderExport(report, this.format);
+        const exportPath = path.join(this.outputDir, `yesterday-${this.shopType}-${yesterdayData.summary.dateRange.from}.${extension}`);
+        await fs.writeFile(exportPath, body);
+        console.log(`Export saved to: ${exportPath}`);
+      }
       
       // Display summary
       console.log(`📊 ${this.shopType.toUpperCase()} - Yesterday's Metrics:`);
@@ -92,17 +122,25 @@ class DataPuller {
       console.log(`   Date: ${yesterdayData.summary.dateRange.from}`);
       console.log(`   Total Sales: $${yesterdayData.summary.totalSales}`);
       console.log(`   Gross Sales: $${yesterdayData.summary.grossSales}`);
+      console.log(`   Net Sales: $${yesterdayData.summary.netSales}`);
       console.log(`   Gross Profit: $${yesterdayData.summary.grossProfit}`);
       console.log(`   Gross Profit Margin: ${yesterdayData.summary.grossProfitMargin}%`);
       console.log(`   Total Orders: ${yesterdayData.summary.totalOrders}`);
       console.log(`   AOV: $${yesterdayData.summary.averageOrderValue}`);
       console.log(`   COGS: $${yesterdayData.summary.totalCOGS}`);
+      if (yesterdayData.summary.missingCost.units > 0) {
+        console.log(`   ⚠️  No unit cost: ${yesterdayData.summary.missingCost.units} units ($${yesterdayData.summary.missingCost.revenue} sales) left out of COGS`);
+      }
       console.log(`   Units Sold: ${yesterdayData.summary.totalUnitsSold}`);
       console.log(`   Capsules Sold: ${yesterdayData.summary.totalCapsulesSold}`);
       console.log(`   Total Refunded: $${yesterdayData.summary.totalRefunded}`);
       console.log(`   Total Discounts: $${yesterdayData.summary.totalDiscounts}`);
       console.log(`   Total Tax: $${yesterdayData.summary.totalTax}`);
       console.log(`   Total Shipping: $${yesterdayData.summary.totalShipping}`);
+      console.log(`   API Requests: ${yesterdayData.meta.requests} (retries: ${yesterdayData.meta.retries})`);
+      if (yesterdayData.completeness.truncated) {
+        console.log(`   ⚠️  Data is truncated after ${yesterdayData.completeness.pagesFetched} pages, totals are partial`);
+      }
       
       return yesterdayData;
     } catch (error) {
@@ -132,7 +170,7 @@ class DataPuller {
       console.log('=====================================');
       console.log('Data pull completed successfully!');
       console.log(`Products: ${products.products.edges.length}`);
-      console.log(`Orders: ${orders.orders.edges.length}`);
+      console.log(`Orders: ${orders.orders.nodes.length}`);
       console.log(`Customers: ${customers.customers.edges.length}`);
       
       return {
@@ -177,7 +215,7 @@ class DataPuller {
 }
 
 // Helper function to pull data for all available shops
-async function pullAllShopsData(dataType = "yesterday", limit = 50) {
+async function pullAllShopsData(dataType = "yesterday", limit = 50, exportOptions = {}) {
   const availableShops = ShopifyClient.getAvailableShops();
   console.log("Available shops:", availableShops);
   ShopifyClient.logShopConfigurations();
@@ -187,7 +225,7 @@ async function pullAllShopsData(dataType = "yesterday", limit = 50) {
   for (const shopType of availableShops) {
     try {
       console.log(`\n🔄 Processing ${shopType}...`);
-      const dataPuller = new DataPuller(shopType);
+      const dataPuller = new DataPuller(shopType, exportOptions);
       
       if (dataType === "yesterday" || dataType === "yesterdaydata") {
         results[shopType] = await dataPuller.pullYesterdayData();
@@ -215,17 +253,26 @@ async function pullAllShopsData(dataType = "yesterday", limit = 50) {
 async function main() {
   // Get command line arguments
   const args = process.argv.slice(2);
-  const shopType = args[0];
-  const dataType = args[1];
-  const limit = parseInt(args[2]) || 50;
+  const formatIndex = args.indexOf('--format');
+  const format = formatIndex !== -1 ? args[formatIndex + 1] : "json";
+  const includeOrders = args.includes('--orders');
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && (formatIndex === -1 || index !== formatIndex + 1));
+  const shopType = positional[0];
+  const dataType = positional[1];
+  const limit = parseInt(positional[2]) || 50;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(`Unknown format: ${format}. Available formats: ${EXPORT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
   
   try {
     if (shopType === "all" || shopType === "all-shops") {
       // Pull data for all shops
-      await pullAllShopsData(dataType || "yesterday", limit);
+      await pullAllShopsData(dataType || "yesterday", limit, { format, includeOrders });
     } else if (shopType) {
       // Pull data for specific shop
-      const dataPuller = new DataPuller(shopType);
+      const dataPuller = new DataPuller(shopType, { format, includeOrders });
       
       if (dataType) {
         // Pull specific data type
@@ -240,7 +287,7 @@ async function main() {
 🚀 Shopify Data Puller
 
 Usage:
-  node index.js [shop-type] [data-type] [limit]
+  node index.js [shop-type] [data-type] [limit] [--format csv|xlsx] [--orders]
 
 Shop Types:
   ecommerce, vending, collect, franchise, b2b, brandstores, all
@@ -253,10 +300,14 @@ Examples:
   node index.js all yesterday                          # Yesterday's metrics for all shops
   node index.js vending products 100                   # 100 products from vending store
   node index.js collect orders 50                      # 50 orders from collect store
+  node index.js vending yesterday --format xlsx         # Also export yesterday's metrics to Excel
+  node index.js all yesterday --format csv --orders     # CSV exports with order rows for all shops
 
 Available shops: ${ShopifyClient.getAvailableShops().join(', ')}
       `);
     }
+
+    await closeStorage();
   } catch (error) {
     console.error('Execution failed:', error.message);
     process.exit(1);
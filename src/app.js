@@ -2,17 +2,24 @@ import express from 'express';
 import cors from 'cors';
 import { config } from './config/environment.js';
 import { getAvailableShops } from './config/shopConfigs.js';
+import { getAvailableChannels } from './config/salesChannels.js';
 
 // Import routes
 import healthRoutes from './routes/health.js';
 import shopsRoutes from './routes/shops.js';
 import testRoutes from './routes/test.js';
 import salesRoutes from './routes/sales.js';
+import productsRoutes from './routes/products.js';
+import webhooksRoutes from './routes/webhooks.js';
+import jobsRoutes from './routes/jobs.js';
 
 const app = express();
 
 // Middleware
 app.use(cors());
+// Webhooks read their own raw body (routes/webhooks.js) and are mounted before
+// the JSON parser, so the signature is checked before anything is parsed
+app.use('/webhooks', webhooksRoutes);
 app.use(express.json());
 
 // Routes
@@ -20,14 +27,20 @@ app.use('/health', healthRoutes);
 app.use('/shops', shopsRoutes);
 app.use('/test', testRoutes);
 app.use('/sales', salesRoutes);
+app.use('/products', productsRoutes);
+app.use('/jobs', jobsRoutes);
 
 // Legacy route compatibility
 app.get('/sales-today', (req, res) => {
-  res.redirect('/sales/today' + (req.url.includes('?') ? '?' + req.url.split('?')[1] : ''));
+  res.redirect('/sales/general-ecom/today' + (req.url.includes('?') ? '?' + req.url.split('?')[1] : ''));
 });
 
 app.get('/sales-yesterday', (req, res) => {
-  res.redirect('/sales/yesterday' + (req.url.includes('?') ? '?' + req.url.split('?')[1] : ''));
+  res.redirect('/sales/general-ecom/yesterday' + (req.url.includes('?') ? '?' + req.url.split('?')[1] : ''));
+});
+
+app.get('/sales-by-source', (req, res) => {
+  res.redirect('/sales/by-source' + (req.url.includes('?') ? '?' + req.url.split('?')[1] : ''));
 });
 
 // Error handling middleware
@@ -49,15 +62,23 @@ app.use('*', (req, res) => {
       'GET /health - Health check and environment status',
       'GET /shops - List available shops and their configuration',
       'GET /test - Test environment configuration',
-      'GET /sales/today?shop=ecommerce - Get today\'s sales for specific shop',
-      'GET /sales/yesterday?shop=ecommerce - Get yesterday\'s sales for specific shop',
-      'GET /sales/ecom/today?shop=ecommerce - Get ecom sales for today',
-      'GET /sales/ecom/yesterday?shop=ecommerce - Get ecom sales for yesterday',
-      'GET /sales/brandstore/today?shop=ecommerce - Get brand store sales for today',
-      'GET /sales/brandstore/yesterday?shop=ecommerce - Get brand store sales for yesterday',
-      'GET /sales-today?shop=ecommerce - Legacy endpoint (redirects to /sales/today)',
-      'GET /sales-yesterday?shop=ecommerce - Legacy endpoint (redirects to /sales/yesterday)'
+      'GET /sales/:channel?from=YYYY-MM-DD&to=YYYY-MM-DD - Get a channel\'s sales for a date range',
+      'GET /sales/all/:period - Get every shop\'s sales for a period plus the grand total',
+      'GET /sales/by-source?shop=ecommerce&period=today&groupBy=source - Get a shop\'s sales per order source, channel or app',
+      'GET /sales/:channel/compare?period=yesterday&against=prev_week,prev_year - Compare a channel\'s sales with earlier periods',
+      'GET /sales/:channel/by-location?period=today - Get a channel\'s sales per store or vending machine location',
+      'GET /sales/:channel/history?date=YYYY-MM-DD - Get the snapshot versions of a channel\'s day and what changed between them',
+      'GET /sales/jobs/:jobId - Get a background job finishing truncated sales data',
+      'GET /sales/:channel/:period - Get a channel\'s sales for today, yesterday, this-week, last-week, this-month or last-month',
+      'GET /products/unclassified?shop=ecommerce&period=this-month - List sold items no product rule matches',
+      'GET /products/performance?shop=ecommerce&period=this-month&sort=revenue&page=1 - Paged performance of every product',
+      'POST /webhooks/shopify - Shopify webhooks (orders/create, orders/updated, refunds/create, products/update)',
+      'GET /jobs - Scheduled jobs with their last run, duration and errors',
+      'GET /sales-today?shop=ecommerce - Legacy endpoint (redirects to /sales/general-ecom/today)',
+      'GET /sales-yesterday?shop=ecommerce - Legacy endpoint (redirects to /sales/general-ecom/yesterday)',
+      'GET /sales-by-source?shop=ecommerce - Legacy endpoint (redirects to /sales/by-source)'
     ],
+    availableChannels: getAvailableChannels(),
     availableShops: getAvailableShops()
   });
 });
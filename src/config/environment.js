@@ -27,4 +27,72 @@ export const config = {
   port: process.env.PORT || 3001,
   apiVersion: process.env.SHOPIFY_API_VERSION || '2023-10',
   nodeEnv: process.env.NODE_ENV || 'development',
+  storage: {
+    enabled: process.env.STORAGE_ENABLED !== 'false',
+    // json | sqlite | postgres | supabase (postgres with SSL on by default)
+    backend: (process.env.STORAGE_BACKEND || 'sqlite').toLowerCase(),
+    jsonDir: process.env.STORAGE_JSON_DIR || './data/warehouse',
+    sqlitePath: process.env.SQLITE_PATH || './data/warehouse.db',
+    databaseUrl: process.env.DATABASE_URL || process.env.SUPABASE_DB_URL,
+    databaseSsl: process.env.DATABASE_SSL
+      ? process.env.DATABASE_SSL === 'true'
+      : (process.env.STORAGE_BACKEND || '').toLowerCase() === 'supabase',
+    // CA certificate file the server certificate is verified against (Supabase: Project Settings → Database → SSL)
+    databaseSslCa: process.env.DATABASE_SSL_CA || null,
+    // Skips certificate verification, only for servers whose certificate can't be verified
+    databaseSslAllowUnverified: process.env.DATABASE_SSL_ALLOW_UNVERIFIED === 'true',
+  },
+  shopify: {
+    // Retries for 429, 5xx and THROTTLED responses and network errors (exponential backoff with jitter)
+    maxRetries: parseInt(process.env.SHOPIFY_MAX_RETRIES) || 5,
+    retryBaseDelayMs: parseInt(process.env.SHOPIFY_RETRY_BASE_DELAY_MS) || 1000,
+    retryMaxDelayMs: parseInt(process.env.SHOPIFY_RETRY_MAX_DELAY_MS) || 30000,
+  },
+  sales: {
+    // Longest from/to range the /sales/:channel endpoints accept
+    maxRangeDays: parseInt(process.env.SALES_MAX_RANGE_DAYS) || 92,
+    // Order pages (100 orders each) a sales request fetches before reporting truncated data
+    maxPages: parseInt(process.env.SALES_MAX_PAGES) || 25,
+    // Finish truncated /sales/:channel requests in a background job (also ?resume=true)
+    backgroundResume: process.env.SALES_BACKGROUND_RESUME === 'true',
+    // Used when a shop has no configured timezone and Shopify can't be asked
+    defaultTimezone: process.env.DEFAULT_TIMEZONE || 'Asia/Tbilisi',
+    // First day of this-week/last-week (0 = Sunday, 1 = Monday)
+    weekStartsOn: parseInt(process.env.WEEK_STARTS_ON ?? '1') || 0,
+    // Shops /sales/all/:period fetches at the same time
+    allShopsConcurrency: parseInt(process.env.SALES_ALL_SHOPS_CONCURRENCY) || 3,
+    // Directory of per-shop reporting channel mappings (<shop-type>.json, falling back to default.json)
+    channelMappingsDir: process.env.CHANNEL_MAPPINGS_DIR || './src/config/channelMappings',
+  },
+  products: {
+    // Directory of per-shop classification rules (<shop-type>.json, falling back to default.json)
+    rulesDir: process.env.PRODUCT_RULES_DIR || './src/config/productRules',
+    // How long collection memberships used by collection rules are cached
+    collectionCacheMs: parseInt(process.env.PRODUCT_COLLECTION_CACHE_MS) || 60 * 60 * 1000,
+    // Variant metafield with the number of items in a pack ("namespace.key")
+    packSizeMetafield: process.env.PACK_SIZE_METAFIELD || 'custom.pack_size',
+    // Local pack sizes by SKU or variant id, used when a variant has no metafield
+    packSizesFile: process.env.PACK_SIZES_FILE || './src/config/packSizes.json',
+  },
+  sync: {
+    // How far back the first incremental sync of a shop reaches
+    initialLookbackDays: parseInt(process.env.SYNC_INITIAL_LOOKBACK_DAYS) || 7,
+  },
+  snapshots: {
+    // Days before yesterday the daily snapshot job recomputes, adding a version when they changed
+    restateDays: parseInt(process.env.SNAPSHOT_RESTATE_DAYS ?? '7') || 0,
+  },
+  scheduler: {
+    // Run the scheduled jobs inside the server process (src/server.js)
+    enabled: process.env.SCHEDULER_ENABLED === 'true',
+    // Five-field cron expressions; "off" disables a job
+    // Yesterday's metrics of every shop, in each shop's own timezone
+    snapshotCron: process.env.SCHEDULER_SNAPSHOT_CRON || '0 6 * * *',
+    // Incremental order sync into storage (needs STORAGE_ENABLED)
+    syncCron: process.env.SCHEDULER_SYNC_CRON || '*/15 * * * *',
+    // Last week's sales of all shops
+    rollupCron: process.env.SCHEDULER_ROLLUP_CRON || '0 7 * * 1',
+    // Timezone of the sync and rollup schedules
+    timeZone: process.env.SCHEDULER_TIMEZONE || process.env.DEFAULT_TIMEZONE || 'Asia/Tbilisi',
+  },
 };
@@ -0,0 +1,49 @@
+// Sales channels served by the /sales routes
+// - shop: shop type from SHOP_CONFIGS the orders come from
+// - reportingChannels: optional reporting channels to keep (see channelMappings/), e.g. ['web']
+// - shopOverridable: whether ?shop= may point the channel at another shop
+export const SALES_CHANNELS = {
+  "general-ecom": {
+    label: "General Ecom",
+    shop: "ecommerce",
+    shopOverridable: true,
+  },
+  ecom: {
+    label: "Ecom",
+    shop: "ecommerce",
+    reportingChannels: ["web"],
+    shopOverridable: true,
+  },
+  brandstores: {
+    label: "Brand Stores",
+    shop: "ecommerce",
+    reportingChannels: ["pos"],
+    shopOverridable: true,
+  },
+  vending: {
+    label: "Vending",
+    shop: "vending",
+  },
+  collect: {
+    label: "Collect",
+    shop: "collect",
+  },
+  franchise: {
+    label: "Franchise",
+    shop: "franchise",
+  },
+  b2b: {
+    label: "B2B",
+    shop: "b2b",
+  },
+};
+
+// Helper function to get a sales channel config (null when unknown)
+export const getSalesChannel = (channel) => {
+  return SALES_CHANNELS[channel] || null;
+};
+
+// Get available sales channels
+export const getAvailableChannels = () => {
+  return Object.keys(SALES_CHANNELS);
+};
@@ -3,26 +3,38 @@ export const SHOP_CONFIGS = {
   ecommerce: {
     shop: process.env.SHOPIFY_SHOP || process.env.SHOPIFY_MEAMA_B2B_SHOP,
     accessToken: process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_MEAMA_B2B_ACCESS_TOKEN,
+    timezone: process.env.SHOPIFY_ECOMMERCE_TIMEZONE,
+    webhookSecret: process.env.SHOPIFY_ECOMMERCE_WEBHOOK_SECRET,
   },
   vending: {
     shop: process.env.SHOPIFY_VENDING_SHOP,
     accessToken: process.env.SHOPIFY_MEAMA_VENDING_ACCESS_TOKEN,
+    timezone: process.env.SHOPIFY_VENDING_TIMEZONE,
+    webhookSecret: process.env.SHOPIFY_VENDING_WEBHOOK_SECRET,
   },
   collect: {
     shop: process.env.SHOPIFY_MEAMA_COLLECT_SHOP,
     accessToken: process.env.SHOPIFY_MEAMA_COLLECT_ACCESS_TOKEN,
+    timezone: process.env.SHOPIFY_COLLECT_TIMEZONE,
+    webhookSecret: process.env.SHOPIFY_COLLECT_WEBHOOK_SECRET,
   },
   franchise: {
     shop: process.env.SHOPIFY_MEAMA_FRANCHISE_SHOP,
     accessToken: process.env.SHOPIFY_MEAMA_FRANCHISE_ACCESS_TOKEN,
+    timezone: process.env.SHOPIFY_FRANCHISE_TIMEZONE,
+    webhookSecret: process.env.SHOPIFY_FRANCHISE_WEBHOOK_SECRET,
   },
   b2b: {
     shop: process.env.SHOPIFY_MEAMA_B2B_SHOP,
     accessToken: process.env.SHOPIFY_MEAMA_B2B_ACCESS_TOKEN,
+    timezone: process.env.SHOPIFY_B2B_TIMEZONE,
+    webhookSecret: process.env.SHOPIFY_B2B_WEBHOOK_SECRET,
   },
   brandstores: {
     shop: process.env.SHOPIFY_SHOP || process.env.SHOPIFY_MEAMA_B2B_SHOP,
     accessToken: process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_MEAMA_B2B_ACCESS_TOKEN,
+    timezone: process.env.SHOPIFY_ECOMMERCE_TIMEZONE,
+    webhookSecret: process.env.SHOPIFY_ECOMMERCE_WEBHOOK_SECRET,
     channel: "Point of Sale",
   },
 };
@@ -32,6 +44,13 @@ export const getShopConfig = (shopType = "ecommerce") => {
   return SHOP_CONFIGS[shopType] || SHOP_CONFIGS.ecommerce;
 };
 
+// Helper function to find the shop type of a shop domain (null when unknown).
+// Shop types sharing a store (ecommerce, brandstores) resolve to the first one.
+export const getShopTypeByDomain = (domain) => {
+  const match = Object.entries(SHOP_CONFIGS).find(([, shopConfig]) => domain && shopConfig.shop === domain);
+  return match ? match[0] : null;
+};
+
 // Get available shop types
 export const getAvailableShops = () => {
   return Object.keys(SHOP_CONFIGS);
@@ -47,5 +66,9 @@ export const logShopConfigurations = () => {
     if (config.channel) {
       console.log(`    channel: ${config.channel}`);
     }
+    if (config.timezone) {
+      console.log(`    timezone: ${config.timezone}`);
+    }
+    console.log(`    webhookSecret: ${config.webhookSecret ? 'SET' : 'NOT SET'}`);
   });
 };
@@ -0,0 +1,15 @@
+import express from 'express';
+import { getSchedulerStatus } from '../services/scheduler.js';
+
+const router = express.Router();
+
+// Get the scheduled jobs with their last run, duration and recent errors
+router.get('/', (req, res) => {
+  try {
+    res.json(getSchedulerStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
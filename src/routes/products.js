@@ -0,0 +1,144 @@
+import express from 'express';
+import { config } from '../config/environment.js';
+import { SHOP_CONFIGS, getAvailableShops } from '../config/shopConfigs.js';
+import { PERIODS, getPeriodRange, validateDateRange } from '../utils/dateUtils.js';
+import { isPartial } from '../utils/completeness.js';
+import { getShopTimezone } from '../services/shopTimezone.js';
+import { PERFORMANCE_SORTS, PERFORMANCE_GROUPINGS } from '../utils/metricsCalculator.js';
+import {
+  getUnclassifiedProducts,
+  getProductPerformance,
+  PERFORMANCE_PAGE_SIZE,
+  MAX_PERFORMANCE_PAGE_SIZE,
+} from '../services/productService.js';
+
+const router = express.Router();
+
+// Helper function to build the date range of a products request in the shop's timezone.
+// Takes ?from=&to= or ?period= (default this-month).
+async function resolveShopRange(shopType, query) {
+  const { from, to, period = "this-month" } = query;
+  const timeZone = await getShopTimezone(shopType);
+
+  if (from || to) {
+    return validateDateRange(from, to, config.sales.maxRangeDays, timeZone);
+  }
+  if (!PERIODS.includes(period)) {
+    return { valid: false, message: `Unknown period: ${period}. Available periods: ${PERIODS.join(", ")}` };
+  }
+  return { valid: true, range: getPeriodRange(period, timeZone, { weekStartsOn: config.sales.weekStartsOn }) };
+}
+
+// ============================================================================
+// UNCLASSIFIED ITEMS (e.g. /products/unclassified?shop=vending&period=last-month)
+// Line items no rule in the shop's product rules file matches
+// ============================================================================
+
+router.get("/unclassified", async (req, res) => {
+  const shopType = req.query.shop || "ecommerce";
+  const requestId = req.requestId || "unknown";
+
+  if (!SHOP_CONFIGS[shopType]) {
+    return res.status(404).json({
+      error: `Unknown shop: ${shopType}`,
+      availableShops: getAvailableShops(),
+    });
+  }
+
+  try {
+    const { valid, message, range } = await resolveShopRange(shopType, req.query);
+    if (!valid) {
+      return res.status(400).json({
+        error: "Invalid date range",
+        message,
+      });
+    }
+
+    const response = await getUnclassifiedProducts(shopType, range, { requestId });
+    res.status(isPartial(response.completeness) ? 206 : 200).json(response);
+  } catch (error) {
+    console.error(`Error listing unclassified products for ${shopType}:`, error.message);
+    res.status(500).json({
+      error: `Failed to list unclassified products for ${shopType}`,
+      message: error.message,
+    });
+  }
+});
+
+// ============================================================================
+// PRODUCT PERFORMANCE (e.g. /products/performance?shop=vending&period=last-month&sort=margin&page=2)
+// Every product sold plus the active ones that sold nothing, one page at a time.
+// ?groupBy=product|variant, ?sort=revenue|units|margin|orders, ?order=desc|asc,
+// ?page= (from 1), ?pageSize= (default 50, at most 250)
+// ============================================================================
+
+// Helper function to read a positive whole number from the query, null when it isn't one
+function parsePositiveInt(value, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+router.get("/performance", async (req, res) => {
+  const shopType = req.query.shop || "ecommerce";
+  const requestId = req.requestId || "unknown";
+  const { groupBy = "product", sort = "revenue", order = "desc" } = req.query;
+
+  if (!SHOP_CONFIGS[shopType]) {
+    return res.status(404).json({
+      error: `Unknown shop: ${shopType}`,
+      availableShops: getAvailableShops(),
+    });
+  }
+
+  if (!PERFORMANCE_GROUPINGS.includes(groupBy)) {
+    return res.status(400).json({
+      error: `Unknown groupBy: ${groupBy}`,
+      availableGroupings: PERFORMANCE_GROUPINGS,
+    });
+  }
+
+  if (!PERFORMANCE_SORTS.includes(sort)) {
+    return res.status(400).json({
+      error: `Unknown sort: ${sort}`,
+      availableSorts: PERFORMANCE_SORTS,
+    });
+  }
+
+  if (!['asc', 'desc'].includes(order)) {
+    return res.status(400).json({
+      error: `Unknown order: ${order}`,
+      availableOrders: ['asc', 'desc'],
+    });
+  }
+
+  const page = parsePositiveInt(req.query.page, 1);
+  const pageSize = parsePositiveInt(req.query.pageSize, PERFORMANCE_PAGE_SIZE);
+  if (!page || !pageSize || pageSize > MAX_PERFORMANCE_PAGE_SIZE) {
+    return res.status(400).json({
+      error: "Invalid paging",
+      message: `page must be a whole number from 1, pageSize from 1 to ${MAX_PERFORMANCE_PAGE_SIZE}`,
+    });
+  }
+
+  try {
+    const { valid, message, range } = await resolveShopRange(shopType, req.query);
+    if (!valid) {
+      return res.status(400).json({
+        error: "Invalid date range",
+        message,
+      });
+    }
+
+    const response = await getProductPerformance(shopType, range, { requestId, groupBy, sort, order, page, pageSize });
+    res.status(isPartial(response.completeness) ? 206 : 200).json(response);
+  } catch (error) {
+    console.error(`Error building product performance for ${shopType}:`, error.message);
+    res.status(500).json({
+      error: `Failed to build product performance for ${shopType}`,
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,618 +1,368 @@
 import express from 'express';
-import fetch from 'node-fetch';
-import { getShopConfig } from '../config/shopConfigs.js';
-import { getTodayRange, getYesterdayRange } from '../utils/dateUtils.js';
-import { buildOrderQueryString } from '../utils/queryBuilder.js';
-import { calculateProductAnalysis } from '../utils/metricsCalculator.js';
+import { config } from '../config/environment.js';
+import { SHOP_CONFIGS, getAvailableShops } from '../config/shopConfigs.js';
+import { getSalesChannel, getAvailableChannels } from '../config/salesChannels.js';
+import { PERIODS, getPeriodRange, validateDateRange } from '../utils/dateUtils.js';
+import { COMPARISON_BASELINES } from '../utils/comparison.js';
+import { isPartial } from '../utils/completeness.js';
+import { SALES_BASES } from '../utils/metricsCalculator.js';
+import { BREAKDOWNS } from '../utils/breakdown.js';
+import { SOURCE_GROUPINGS } from '../utils/orderSources.js';
+import { EXPORT_FORMATS, renderExport } from '../utils/exporter.js';
+import { getChannelSales, getChannelComparison, getChannelSalesByLocation, getChannelTimezone, getAllShopsSales, getSalesBySource } from '../services/salesService.js';
+import { getShopTimezone } from '../services/shopTimezone.js';
+import { getResumeJob } from '../services/resumeJobs.js';
+import { getSnapshotHistory } from '../services/snapshotService.js';
 
 const router = express.Router();
 
-// Helper function to make GraphQL requests
-const makeGraphQLRequest = async (shopConfig, query, variables = {}) => {
-  const response = await fetch(
-    `https://${shopConfig.shop}/admin/api/${process.env.SHOPIFY_API_VERSION || "2023-10"}/graphql.json`,
-    {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopConfig.accessToken,
-      },
-      body: JSON.stringify({ query, variables }),
-    }
-  );
-
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
-  }
-
-  const data = await response.json();
-  
-  if (data.errors) {
-    throw new Error(`GraphQL errors: ${JSON.stringify(data.errors, null, 2)}`);
-  }
-
-  return data.data;
-};
-
-// Helper function to calculate metrics for a specific source
-function calculateSourceMetrics(orders, sourceName) {
-  let currencyCode = null;
-  let totalSales = 0;
-  let totalRefunds = 0;
-  let totalOrders = orders.length;
-  let refundedOrders = 0;
-  let totalItemsSold = 0;
-
-  // Process orders
-  orders.forEach((order) => {
-    // Parse monetary values
-    const currentTotal = parseFloat(
-      order.currentTotalPriceSet?.shopMoney?.amount || "0"
-    );
-    const refunded = parseFloat(
-      order.totalRefundedSet?.shopMoney?.amount || "0"
-    );
-
-    // Count items sold
-    order.lineItems?.nodes?.forEach((item) => {
-      const quantity = item.quantity || 0;
-      totalItemsSold += quantity;
+// Every sales endpoint takes ?format=json|csv|xlsx, checked before anything is fetched
+router.use((req, res, next) => {
+  const { format } = req.query;
+  if (format !== undefined && !EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: `Unknown format: ${format}`,
+      availableFormats: EXPORT_FORMATS,
     });
+  }
+  next();
+});
 
-    // Set currency code from first order
-    if (!currencyCode) {
-      currencyCode = order.totalPriceSet?.shopMoney?.currencyCode;
-    }
-
-    // Accumulate metrics
-    totalSales += currentTotal;
-    totalRefunds += refunded;
-    
-    if (refunded > 0) {
-      refundedOrders++;
-    }
-  });
-
-  // Calculate AOV (Average Order Value)
-  const averageOrderValue = totalOrders > 0 ? totalSales / totalOrders : 0;
-
-  // Product Analysis
-  const productAnalysis = calculateProductAnalysis(orders);
-
-  return {
-    source: sourceName,
-    summary: {
-      totalSales: parseFloat(totalSales.toFixed(2)),
-      totalOrders,
-      averageOrderValue: parseFloat(averageOrderValue.toFixed(2)),
-      currencyCode,
-      totalRefunds: parseFloat(totalRefunds.toFixed(2)),
-      refundedOrders,
-      totalItemsSold
-    },
-    productAnalysis
-  };
+// Helper function to tell whether a request asked for order rows (?orders=true)
+function wantsOrders(req) {
+  return req.query.orders === "true";
 }
 
-// Helper function to process orders for any store
-async function processOrdersForStore(shop, dateRange, requestId, sourceFilter = null) {
-  const shopConfig = getShopConfig(shop);
-  const { startISO, endISO, startDate, endDate } = dateRange;
-
-  console.log(`\n📊 [${requestId}] ${shop.toUpperCase()} - Starting data fetch`);
-  console.log(`   🏪 Shop: ${shop}`);
-  console.log(`   📅 Date Range: ${startISO.substring(0, 10)} to ${endISO.substring(0, 10)}`);
-
-  const orderQueryString = buildOrderQueryString(startISO, endISO, shop);
-
-  const GQL = `
-    query GetOrders($cursor: String, $q: String!) {
-      orders(first: 100, after: $cursor, query: $q, sortKey: CREATED_AT) {
-        pageInfo { hasNextPage endCursor }
-        nodes {
-          id
-          name
-          createdAt
-          displayFinancialStatus
-          sourceName
-          totalPriceSet { shopMoney { amount currencyCode } }
-          currentTotalPriceSet { shopMoney { amount currencyCode } }
-          totalRefundedSet { shopMoney { amount currencyCode } }
-          subtotalPriceSet { shopMoney { amount currencyCode } }
-          totalDiscountsSet { shopMoney { amount currencyCode } }
-          totalTaxSet { shopMoney { amount currencyCode } }
-          totalShippingPriceSet { shopMoney { amount currencyCode } }
-          lineItems(first: 50) {
-            nodes {
-              quantity
-              title
-              variantTitle
-              originalUnitPriceSet { shopMoney { amount currencyCode } }
-              discountedUnitPriceSet { shopMoney { amount currencyCode } }
-              variant {
-                id
-                title
-                sku
-                inventoryItem {
-                  unitCost { amount }
-                }
-                product {
-                  id
-                  title
-                  description
-                  handle
-                  productType
-                  vendor
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-  `;
+// Helper function to send a sales response, 206 when its data is partial.
+// ?format=csv|xlsx sends a download instead; partial data is flagged with an
+// X-Partial-Data header there, since 206 means a byte range to download clients.
+async function sendSalesResponse(req, res, response) {
+  const { format = "json" } = req.query;
 
-  let cursor = null;
-  let hasNext = true;
-  const orders = [];
-  let requestCount = 0;
-
-  while (hasNext) {
-    requestCount++;
-    const resp = await makeGraphQLRequest(shopConfig, GQL, { cursor, q: orderQueryString });
-    const conn = resp.orders;
-
-    const filteredOrders = conn.nodes.filter((order) => {
-      const orderDate = new Date(order.createdAt);
-      return orderDate >= startDate && orderDate <= endDate;
-    });
-
-    orders.push(...filteredOrders);
-    hasNext = conn.pageInfo.hasNextPage;
-    cursor = conn.pageInfo.endCursor;
-
-    if (requestCount > 25) break;
+  if (format === "json") {
+    return res.status(isPartial(response.completeness) ? 206 : 200).json(response);
   }
 
-  // Apply source filter if specified
-  let finalOrders = orders;
-  if (sourceFilter) {
-    if (sourceFilter === 'online') {
-      finalOrders = orders.filter(order => 
-        order.sourceName === 'web' || 
-        order.sourceName === 'online_store' ||
-        order.sourceName === 'checkout' ||
-        !order.sourceName ||
-        (order.sourceName !== 'pos' && order.sourceName !== 'point_of_sale' && order.sourceName !== 'POS')
-      );
-    } else if (sourceFilter === 'pos') {
-      finalOrders = orders.filter(order => 
-        order.sourceName === 'pos' || 
-        order.sourceName === 'point_of_sale' ||
-        order.sourceName === 'POS'
-      );
-    }
-  }
+  const { body, contentType, extension } = await renderExport(response, format);
+  const { from, to } = response.dateRange || {};
+  const dates = from ? `-${from}${to && to !== from ? `_${to}` : ''}` : '';
+  const filename = `sales${req.path.replace(/\//g, '-').replace(/-$/, '')}${dates}.${extension}`;
 
-  return finalOrders;
+  if (isPartial(response.completeness)) res.set('X-Partial-Data', 'true');
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
 }
 
-// ============================================================================
-// GENERAL ECOM ENDPOINTS (All sales from ecommerce Shopify shop)
-// ============================================================================
-
-router.get("/general-ecom/today", async (req, res) => {
-  try {
-    const { shop = "ecommerce" } = req.query;
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getTodayRange();
-
-    const orders = await processOrdersForStore(shop, getTodayRange(), requestId);
-    const metrics = calculateSourceMetrics(orders, "General Ecom");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] GENERAL ECOM TODAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
-  } catch (error) {
-    console.error("Error calculating general ecom today metrics:", error?.response?.data || error.message);
-    res.status(500).json({
-      error: "Failed to calculate general ecom today metrics",
-      message: error.message,
+// Helper function to send one channel's sales for a date range.
+// buildRange gets the channel shop's timezone and returns { valid, message, range }.
+// fetchSales(range) defaults to the plain sales summary, which takes ?basis=
+// (order or transaction), ?breakdown= (hour, day or weekday), ?orders=true,
+// ?resume=true to finish truncated data in a background job and ?warehouse=true
+// to read the stored orders instead of Shopify.
+async function sendChannelSales(req, res, buildRange, fetchSales = null) {
+  const { channel } = req.params;
+  const { basis = "order", breakdown } = req.query;
+  const fromStorage = req.query.warehouse === "true";
+  const requestId = req.requestId || "unknown";
+
+  if (!fetchSales && !SALES_BASES.includes(basis)) {
+    return res.status(400).json({
+      error: `Unknown basis: ${basis}`,
+      availableBases: SALES_BASES,
+    });
+  }
+  if (!fetchSales && breakdown !== undefined && !BREAKDOWNS.includes(breakdown)) {
+    return res.status(400).json({
+      error: `Unknown breakdown: ${breakdown}`,
+      availableBreakdowns: BREAKDOWNS,
+    });
+  }
+  if (!fetchSales && fromStorage && !config.storage.enabled) {
+    return res.status(503).json({
+      error: "Reading from the warehouse needs storage",
+      message: "Storage is disabled (STORAGE_ENABLED=false)",
     });
   }
-});
 
-router.get("/general-ecom/yesterday", async (req, res) => {
   try {
-    const { shop = "ecommerce" } = req.query;
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getYesterdayRange();
-
-    const orders = await processOrdersForStore(shop, getYesterdayRange(), requestId);
-    const metrics = calculateSourceMetrics(orders, "General Ecom");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] GENERAL ECOM YESTERDAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
+    const timeZone = await getChannelTimezone(channel, req.query.shop);
+    const { valid, message, range } = buildRange(timeZone);
+
+    if (!valid) {
+      return res.status(400).json({
+        error: "Invalid date range",
+        message,
+      });
+    }
+
+    const response = fetchSales
+      ? await fetchSales(range)
+      : await getChannelSales(channel, range, {
+        shop: req.query.shop,
+        requestId,
+        basis,
+        breakdown: breakdown || null,
+        includeOrders: wantsOrders(req),
+        fromStorage,
+        ...(req.query.resume !== undefined ? { resume: req.query.resume === "true" } : {}),
+      });
+    await sendSalesResponse(req, res, response);
   } catch (error) {
-    console.error("Error calculating general ecom yesterday metrics:", error?.response?.data || error.message);
+    console.error(`Error calculating ${channel} metrics:`, error?.response?.data || error.message);
     res.status(500).json({
-      error: "Failed to calculate general ecom yesterday metrics",
+      error: `Failed to calculate ${channel} metrics`,
       message: error.message,
     });
   }
-});
+}
 
 // ============================================================================
-// ECOM ENDPOINTS (Online orders only)
+// ALL SHOPS (e.g. /sales/all/today) - registered before the /:channel routes
 // ============================================================================
 
-router.get("/ecom/today", async (req, res) => {
-  try {
-    const { shop = "ecommerce" } = req.query;
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getTodayRange();
-
-    const orders = await processOrdersForStore(shop, getTodayRange(), requestId, 'online');
-    const metrics = calculateSourceMetrics(orders, "Ecom");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] ECOM TODAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
-  } catch (error) {
-    console.error("Error calculating ecom today metrics:", error?.response?.data || error.message);
-    res.status(500).json({
-      error: "Failed to calculate ecom today metrics",
-      message: error.message,
+router.get("/all/:period", async (req, res) => {
+  const { period } = req.params;
+  const requestId = req.requestId || "unknown";
+
+  if (!PERIODS.includes(period)) {
+    return res.status(404).json({
+      error: `Unknown period: ${period}`,
+      availablePeriods: PERIODS,
     });
   }
-});
 
-router.get("/ecom/yesterday", async (req, res) => {
   try {
-    const { shop = "ecommerce" } = req.query;
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getYesterdayRange();
-
-    const orders = await processOrdersForStore(shop, getYesterdayRange(), requestId, 'online');
-    const metrics = calculateSourceMetrics(orders, "Ecom");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] ECOM YESTERDAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
+    const response = await getAllShopsSales(period, { requestId, includeOrders: wantsOrders(req) });
+    await sendSalesResponse(req, res, response);
   } catch (error) {
-    console.error("Error calculating ecom yesterday metrics:", error?.response?.data || error.message);
+    console.error("Error calculating all shops metrics:", error.message);
     res.status(500).json({
-      error: "Failed to calculate ecom yesterday metrics",
+      error: "Failed to calculate all shops metrics",
       message: error.message,
     });
   }
 });
 
 // ============================================================================
-// BRAND STORES ENDPOINTS (POS orders only)
+// SALES BY SOURCE (e.g. /sales/by-source?shop=ecommerce&period=today&groupBy=channel)
+// Takes ?period= (default today) or ?from=&to=, and ?groupBy=source|channel|app
 // ============================================================================
 
-router.get("/brandstores/today", async (req, res) => {
-  try {
-    const { shop = "ecommerce" } = req.query;
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getTodayRange();
-
-    const orders = await processOrdersForStore(shop, getTodayRange(), requestId, 'pos');
-    const metrics = calculateSourceMetrics(orders, "Brand Stores");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] BRAND STORES TODAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
-  } catch (error) {
-    console.error("Error calculating brand stores today metrics:", error?.response?.data || error.message);
-    res.status(500).json({
-      error: "Failed to calculate brand stores today metrics",
-      message: error.message,
+router.get("/by-source", async (req, res) => {
+  const { shop = "ecommerce", period = "today", from, to, groupBy = "source" } = req.query;
+  const requestId = req.requestId || "unknown";
+
+  if (!SHOP_CONFIGS[shop]) {
+    return res.status(404).json({
+      error: `Unknown shop: ${shop}`,
+      availableShops: getAvailableShops(),
+    });
+  }
+  if (!SOURCE_GROUPINGS.includes(groupBy)) {
+    return res.status(400).json({
+      error: `Unknown grouping: ${groupBy}`,
+      availableGroupings: SOURCE_GROUPINGS,
+    });
+  }
+  if (!from && !to && !PERIODS.includes(period)) {
+    return res.status(400).json({
+      error: `Unknown period: ${period}`,
+      availablePeriods: PERIODS,
     });
   }
-});
 
-router.get("/brandstores/yesterday", async (req, res) => {
   try {
-    const { shop = "ecommerce" } = req.query;
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getYesterdayRange();
-
-    const orders = await processOrdersForStore(shop, getYesterdayRange(), requestId, 'pos');
-    const metrics = calculateSourceMetrics(orders, "Brand Stores");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] BRAND STORES YESTERDAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
+    const timeZone = await getShopTimezone(shop);
+    const { valid, message, range } = (from || to)
+      ? validateDateRange(from, to, config.sales.maxRangeDays, timeZone)
+      : { valid: true, range: getPeriodRange(period, timeZone, { weekStartsOn: config.sales.weekStartsOn }) };
+
+    if (!valid) {
+      return res.status(400).json({
+        error: "Invalid date range",
+        message,
+      });
+    }
+
+    const response = await getSalesBySource(shop, range, { requestId, groupBy, includeOrders: wantsOrders(req) });
+    await sendSalesResponse(req, res, response);
   } catch (error) {
-    console.error("Error calculating brand stores yesterday metrics:", error?.response?.data || error.message);
+    console.error("Error calculating sales by source metrics:", error?.response?.data || error.message);
     res.status(500).json({
-      error: "Failed to calculate brand stores yesterday metrics",
+      error: "Failed to calculate sales by source metrics",
       message: error.message,
     });
   }
 });
 
 // ============================================================================
-// OTHER STORES ENDPOINTS (All sales from other shops)
+// BACKGROUND JOBS (e.g. /sales/jobs/<id>) - completion of truncated sales data
 // ============================================================================
 
-// VENDING STORE
-router.get("/vending/today", async (req, res) => {
-  try {
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getTodayRange();
-
-    const orders = await processOrdersForStore("vending", getTodayRange(), requestId);
-    const metrics = calculateSourceMetrics(orders, "Vending");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] VENDING TODAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
-  } catch (error) {
-    console.error("Error calculating vending today metrics:", error?.response?.data || error.message);
-    res.status(500).json({
-      error: "Failed to calculate vending today metrics",
-      message: error.message,
+router.get("/jobs/:jobId", (req, res) => {
+  const job = getResumeJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      error: `Unknown job: ${req.params.jobId}`,
+      message: "Jobs are kept for an hour after they finish",
     });
   }
+
+  res.json(job);
 });
 
-router.get("/vending/yesterday", async (req, res) => {
-  try {
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getYesterdayRange();
-
-    const orders = await processOrdersForStore("vending", getYesterdayRange(), requestId);
-    const metrics = calculateSourceMetrics(orders, "Vending");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] VENDING YESTERDAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
-  } catch (error) {
-    console.error("Error calculating vending yesterday metrics:", error?.response?.data || error.message);
-    res.status(500).json({
-      error: "Failed to calculate vending yesterday metrics",
-      message: error.message,
+// Reject unknown channels before any handler runs
+router.param('channel', (req, res, next, channel) => {
+  if (!getSalesChannel(channel)) {
+    return res.status(404).json({
+      error: `Unknown sales channel: ${channel}`,
+      availableChannels: getAvailableChannels(),
     });
   }
+  next();
 });
 
-// COLLECT STORE
-router.get("/collect/today", async (req, res) => {
-  try {
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getTodayRange();
-
-    const orders = await processOrdersForStore("collect", getTodayRange(), requestId);
-    const metrics = calculateSourceMetrics(orders, "Collect");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] COLLECT TODAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
-  } catch (error) {
-    console.error("Error calculating collect today metrics:", error?.response?.data || error.message);
-    res.status(500).json({
-      error: "Failed to calculate collect today metrics",
-      message: error.message,
+// ============================================================================
+// PERIOD COMPARISON (e.g. /sales/ecom/compare?period=yesterday&against=prev_week,prev_year)
+// Takes ?period= (default yesterday) or ?from=&to=, and ?productLimit= (default 10)
+// ============================================================================
+
+router.get("/:channel/compare", (req, res) => {
+  const { channel } = req.params;
+  const { period = "yesterday", from, to } = req.query;
+  const against = (req.query.against || "prev_week").split(",").map(baseline => baseline.trim()).filter(Boolean);
+  const productLimit = parseInt(req.query.productLimit) || 10;
+
+  const unknown = against.filter(baseline => !COMPARISON_BASELINES.includes(baseline));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown comparison baseline: ${unknown.join(", ")}`,
+      availableBaselines: COMPARISON_BASELINES,
     });
   }
-});
-
-router.get("/collect/yesterday", async (req, res) => {
-  try {
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getYesterdayRange();
-
-    const orders = await processOrdersForStore("collect", getYesterdayRange(), requestId);
-    const metrics = calculateSourceMetrics(orders, "Collect");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] COLLECT YESTERDAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
-  } catch (error) {
-    console.error("Error calculating collect yesterday metrics:", error?.response?.data || error.message);
-    res.status(500).json({
-      error: "Failed to calculate collect yesterday metrics",
-      message: error.message,
+  if (!from && !to && !PERIODS.includes(period)) {
+    return res.status(400).json({
+      error: `Unknown period: ${period}`,
+      availablePeriods: PERIODS,
     });
   }
+
+  const buildRange = (timeZone) => (from || to)
+    ? validateDateRange(from, to, config.sales.maxRangeDays, timeZone)
+    : { valid: true, range: getPeriodRange(period, timeZone, { weekStartsOn: config.sales.weekStartsOn }) };
+
+  return sendChannelSales(req, res, buildRange, (range) => getChannelComparison(channel, range, against, {
+    shop: req.query.shop,
+    requestId: req.requestId || "unknown",
+    productLimit,
+    includeOrders: wantsOrders(req),
+  }));
 });
 
-// FRANCHISE STORE
-router.get("/franchise/today", async (req, res) => {
-  try {
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getTodayRange();
-
-    const orders = await processOrdersForStore("franchise", getTodayRange(), requestId);
-    const metrics = calculateSourceMetrics(orders, "Franchise");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] FRANCHISE TODAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
-  } catch (error) {
-    console.error("Error calculating franchise today metrics:", error?.response?.data || error.message);
-    res.status(500).json({
-      error: "Failed to calculate franchise today metrics",
-      message: error.message,
+// ============================================================================
+// SALES BY LOCATION (e.g. /sales/brandstores/by-location?period=last-week)
+// Takes ?period= (default today) or ?from=&to=, and ?productLimit= (default 5)
+// ============================================================================
+
+router.get("/:channel/by-location", (req, res) => {
+  const { channel } = req.params;
+  const { period = "today", from, to } = req.query;
+  const productLimit = parseInt(req.query.productLimit) || 5;
+
+  if (!from && !to && !PERIODS.includes(period)) {
+    return res.status(400).json({
+      error: `Unknown period: ${period}`,
+      availablePeriods: PERIODS,
     });
   }
+
+  const buildRange = (timeZone) => (from || to)
+    ? validateDateRange(from, to, config.sales.maxRangeDays, timeZone)
+    : { valid: true, range: getPeriodRange(period, timeZone, { weekStartsOn: config.sales.weekStartsOn }) };
+
+  return sendChannelSales(req, res, buildRange, (range) => getChannelSalesByLocation(channel, range, {
+    shop: req.query.shop,
+    requestId: req.requestId || "unknown",
+    productLimit,
+    includeOrders: wantsOrders(req),
+  }));
 });
 
-router.get("/franchise/yesterday", async (req, res) => {
-  try {
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getYesterdayRange();
-
-    const orders = await processOrdersForStore("franchise", getYesterdayRange(), requestId);
-    const metrics = calculateSourceMetrics(orders, "Franchise");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] FRANCHISE YESTERDAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
-  } catch (error) {
-    console.error("Error calculating franchise yesterday metrics:", error?.response?.data || error.message);
-    res.status(500).json({
-      error: "Failed to calculate franchise yesterday metrics",
-      message: error.message,
+// ============================================================================
+// RESTATEMENT HISTORY (e.g. /sales/vending/history?date=2025-01-14)
+// Every stored snapshot version of the day and what changed between them
+// ============================================================================
+
+router.get("/:channel/history", async (req, res) => {
+  const { channel } = req.params;
+  const { date } = req.query;
+
+  if (!config.storage.enabled) {
+    return res.status(503).json({
+      error: "Snapshot history needs storage",
+      message: "Storage is disabled (STORAGE_ENABLED=false)",
     });
   }
-});
 
-// B2B STORE
-router.get("/b2b/today", async (req, res) => {
   try {
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getTodayRange();
-
-    const orders = await processOrdersForStore("b2b", getTodayRange(), requestId);
-    const metrics = calculateSourceMetrics(orders, "B2B");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] B2B TODAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
+    const timeZone = await getChannelTimezone(channel, req.query.shop);
+    const { valid, message } = validateDateRange(date, date, 1, timeZone);
+    if (!valid) {
+      return res.status(400).json({
+        error: "Invalid date",
+        message: message.replace('Both from and to are required', 'date is required'),
+      });
+    }
+
+    const history = await getSnapshotHistory(channel, date, { shop: req.query.shop });
+    if (!history) {
+      return res.status(404).json({
+        error: `No snapshot of ${channel} for ${date}`,
+        message: "Snapshots are recorded by the scheduler's yesterday-snapshot jobs",
+      });
+    }
+
+    res.json(history);
   } catch (error) {
-    console.error("Error calculating b2b today metrics:", error?.response?.data || error.message);
+    console.error(`Error reading ${channel} snapshot history:`, error.message);
     res.status(500).json({
-      error: "Failed to calculate b2b today metrics",
+      error: `Failed to read ${channel} snapshot history`,
       message: error.message,
     });
   }
 });
 
-router.get("/b2b/yesterday", async (req, res) => {
-  try {
-    const requestId = req.requestId || "unknown";
-    const { startISO, endISO } = getYesterdayRange();
-
-    const orders = await processOrdersForStore("b2b", getYesterdayRange(), requestId);
-    const metrics = calculateSourceMetrics(orders, "B2B");
-
-    const response = {
-      dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
-        lastUpdated: new Date().toISOString(),
-      },
-      ...metrics
-    };
-
-    console.log(`✅ [${requestId}] B2B YESTERDAY - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
-    res.json(response);
-  } catch (error) {
-    console.error("Error calculating b2b yesterday metrics:", error?.response?.data || error.message);
-    res.status(500).json({
-      error: "Failed to calculate b2b yesterday metrics",
-      message: error.message,
+// ============================================================================
+// PERIOD ALIASES (e.g. /sales/vending/today, /sales/b2b/last-month)
+// Days, weeks and months are counted in the shop's timezone
+// ============================================================================
+
+router.get("/:channel/:period", (req, res) => {
+  const { period } = req.params;
+
+  if (!PERIODS.includes(period)) {
+    return res.status(404).json({
+      error: `Unknown period: ${period}`,
+      availablePeriods: PERIODS,
     });
   }
+
+  return sendChannelSales(req, res, (timeZone) => ({
+    valid: true,
+    range: getPeriodRange(period, timeZone, { weekStartsOn: config.sales.weekStartsOn }),
+  }));
+});
+
+// ============================================================================
+// DATE RANGE ENDPOINT (e.g. /sales/ecom?from=2025-01-01&to=2025-01-31)
+// general-ecom, ecom and brandstores also accept ?shop= (default ecommerce)
+// ============================================================================
+
+router.get("/:channel", (req, res) => {
+  const { from, to } = req.query;
+  return sendChannelSales(req, res, (timeZone) => validateDateRange(from, to, config.sales.maxRangeDays, timeZone));
 });
 
 export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import { getShopConfig, getShopTypeByDomain } from '../config/shopConfigs.js';
+import { WEBHOOK_TOPICS, verifyWebhookHmac, isDuplicateWebhook, markWebhookHandled, handleWebhook } from '../services/webhookService.js';
+
+const router = express.Router();
+
+// ============================================================================
+// SHOPIFY WEBHOOKS (POST /webhooks/shopify)
+// Topics: orders/create, orders/updated, refunds/create, products/update
+// The shop comes from X-Shopify-Shop-Domain, the signature is checked with that
+// shop's webhook secret over the raw body, and only then is the body parsed.
+// Shopify gets its 200 once storage is updated. A failed update is a 500, so
+// Shopify retries the delivery; rejections are 4xx and are not retried.
+// ============================================================================
+
+// Raw body for every content type; order webhooks can be larger than the 100kb default
+router.post("/shopify", express.raw({ type: () => true, limit: '2mb' }), async (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  const domain = req.get('X-Shopify-Shop-Domain');
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  const requestId = req.requestId || webhookId || "unknown";
+
+  const shopType = getShopTypeByDomain(domain);
+  if (!shopType) {
+    return res.status(401).json({
+      error: `Unknown shop: ${domain || "missing X-Shopify-Shop-Domain"}`,
+    });
+  }
+
+  const { webhookSecret } = getShopConfig(shopType);
+  if (!webhookSecret) {
+    console.error(`❌ [${requestId}] Webhook from ${domain} rejected: no webhook secret configured for ${shopType}`);
+    return res.status(401).json({
+      error: `No webhook secret configured for ${shopType}`,
+    });
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : null;
+  if (!verifyWebhookHmac(rawBody, req.get('X-Shopify-Hmac-Sha256'), webhookSecret)) {
+    console.warn(`⚠️  [${requestId}] Webhook ${topic} from ${domain} rejected: invalid signature`);
+    return res.status(401).json({
+      error: "Invalid webhook signature",
+    });
+  }
+
+  if (!WEBHOOK_TOPICS.includes(topic)) {
+    return res.status(200).json({ received: true, ignored: `Unsupported topic: ${topic}` });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    console.warn(`⚠️  [${requestId}] Webhook ${topic} from ${domain} rejected: invalid JSON`);
+    return res.status(400).json({
+      error: "Invalid JSON body",
+      message: error.message,
+    });
+  }
+
+  if (isDuplicateWebhook(webhookId)) {
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  try {
+    const result = await handleWebhook(shopType, topic, payload, requestId);
+    markWebhookHandled(webhookId);
+    res.status(200).json({ received: true, stored: result.stored });
+  } catch (error) {
+    console.error(`❌ [${requestId}] Failed to handle ${topic} webhook from ${domain}:`, error.message);
+    res.status(500).json({
+      error: "Failed to handle webhook",
+      message: error.message,
+    });
+  }
+});
+
+export default router;
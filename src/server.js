@@ -2,6 +2,8 @@ import app from './app.js';
 import { config } from './config/environment.js';
 import { validateEnvironment } from './config/environment.js';
 import { getAvailableShops } from './config/shopConfigs.js';
+import { getAvailableChannels } from './config/salesChannels.js';
+import { startScheduler } from './services/scheduler.js';
 
 const PORT = config.port;
 
@@ -15,12 +17,19 @@ const server = app.listen(PORT, () => {
   console.log(`   GET  http://localhost:${PORT}/health`);
   console.log(`   GET  http://localhost:${PORT}/shops`);
   console.log(`   GET  http://localhost:${PORT}/test`);
-  console.log(`   GET  http://localhost:${PORT}/sales/today?shop=ecommerce`);
-  console.log(`   GET  http://localhost:${PORT}/sales/yesterday?shop=ecommerce`);
-  console.log(`   GET  http://localhost:${PORT}/sales/ecom/today?shop=ecommerce`);
-  console.log(`   GET  http://localhost:${PORT}/sales/ecom/yesterday?shop=ecommerce`);
-  console.log(`   GET  http://localhost:${PORT}/sales/brandstore/today?shop=ecommerce`);
-  console.log(`   GET  http://localhost:${PORT}/sales/brandstore/yesterday?shop=ecommerce`);
+  console.log(`   GET  http://localhost:${PORT}/sales/:channel?from=YYYY-MM-DD&to=YYYY-MM-DD`);
+  console.log(`   GET  http://localhost:${PORT}/sales/:channel/:period`);
+  console.log(`   GET  http://localhost:${PORT}/sales/all/:period`);
+  console.log(`   GET  http://localhost:${PORT}/sales/by-source?shop=ecommerce&groupBy=source`);
+  console.log(`   GET  http://localhost:${PORT}/sales/:channel/compare?period=yesterday&against=prev_week,prev_year`);
+  console.log(`   GET  http://localhost:${PORT}/sales/:channel/by-location?period=today`);
+  console.log(`   GET  http://localhost:${PORT}/sales/:channel/history?date=YYYY-MM-DD`);
+  console.log(`   GET  http://localhost:${PORT}/sales/jobs/:jobId`);
+  console.log(`   GET  http://localhost:${PORT}/products/unclassified?shop=ecommerce`);
+  console.log(`   GET  http://localhost:${PORT}/products/performance?shop=ecommerce&sort=revenue&page=1`);
+  console.log(`   POST http://localhost:${PORT}/webhooks/shopify`);
+  console.log(`   GET  http://localhost:${PORT}/jobs`);
+  console.log(`   📺 Channels: ${getAvailableChannels().join(', ')}`);
   console.log('');
   console.log('🏪 Available Shops:', getAvailableShops().join(', '));
   console.log('');
@@ -33,6 +42,14 @@ const server = app.listen(PORT, () => {
     console.log('   📝 Please check your .env file');
   }
   console.log('');
+
+  if (config.scheduler.enabled) {
+    startScheduler()
+      .then(jobNames => console.log(`⏰ Scheduler started: ${jobNames.join(', ') || 'no jobs'}`))
+      .catch(error => console.error('❌ Scheduler failed to start:', error.message));
+  } else {
+    console.log('⏸️  Scheduler is off (SCHEDULER_ENABLED=false)');
+  }
 });
 
 // Handle server errors
@@ -0,0 +1,147 @@
+import ShopifyClient from './shopifyClient.js';
+import { getStorage } from './storage/index.js';
+import { config } from '../config/environment.js';
+import { getShopConfig } from '../config/shopConfigs.js';
+import { SERVER_TIMEZONE, validateDateRange, listRangeDays, startOfZonedDay } from '../utils/dateUtils.js';
+import { getShopTimezone } from './shopTimezone.js';
+
+const WINDOW_DAYS = { day: 1, week: 7 };
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+const checkpointKey = (shop, from, to, window) => `backfill:${shop}:${from}:${to}:${window}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRateLimitError = (error) => /status: 429|THROTTLED/i.test(error.message);
+
+// Helper function for the instant a YYYY-MM-DD day starts in a timezone
+function dayStart(label, timeZone) {
+  const [year, month, day] = label.split('-').map(Number);
+  return startOfZonedDay({ year, month, day }, timeZone);
+}
+
+/**
+ * Split an inclusive YYYY-MM-DD range into day or week windows of local days
+ * @param {string} from - First day, YYYY-MM-DD
+ * @param {string} to - Last day, YYYY-MM-DD
+ * @param {string} window - "day" or "week"
+ * @param {string} timeZone - IANA timezone the days are counted in
+ * @returns {Array} Windows with from/to day labels, startISO (inclusive) and endISO (exclusive)
+ */
+export function buildBackfillWindows(from, to, window = "week", timeZone = SERVER_TIMEZONE) {
+  const size = WINDOW_DAYS[window];
+  if (!size) {
+    throw new Error(`Unknown backfill window: ${window}. Available windows: ${Object.keys(WINDOW_DAYS).join(', ')}`);
+  }
+
+  const { valid, message, range } = validateDateRange(from, to, Infinity, timeZone);
+  if (!valid) {
+    throw new Error(`Invalid backfill range ${from} to ${to}: ${message}`);
+  }
+
+  const days = listRangeDays(range);
+  const end = new Date(range.endDate.getTime() + 1);
+
+  const windows = [];
+  for (let i = 0; i < days.length; i += size) {
+    const windowEnd = i + size < days.length ? dayStart(days[i + size], timeZone) : end;
+    windows.push({
+      from: days[i],
+      to: days[Math.min(i + size, days.length) - 1],
+      startISO: dayStart(days[i], timeZone).toISOString(),
+      endISO: windowEnd.toISOString(),
+    });
+  }
+  return windows;
+}
+
+/**
+ * Load historical orders into storage window by window.
+ * A checkpoint (window + page cursor) is saved after every page, so running
+ * the same command again after a crash or a 429 continues where it stopped.
+ * With `bulk` each window is exported through one bulk operation instead of
+ * paging, and the checkpoint moves window by window.
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @param {Object} options - { from, to, window, bulk, restart, requestId }
+ * @returns {Promise<Object>} Backfill result
+ */
+export async function backfillOrders(shopType, { from, to, window = "week", bulk = false, restart = false, requestId = "unknown" }) {
+  if (!config.storage.enabled) {
+    throw new Error('Storage is disabled (STORAGE_ENABLED=false), nothing to backfill into');
+  }
+
+  const client = new ShopifyClient(shopType);
+  const storage = await getStorage();
+  const shop = getShopConfig(shopType).shop;
+  const timeZone = await getShopTimezone(shopType);
+  const windows = buildBackfillWindows(from, to, window, timeZone);
+  const key = checkpointKey(shop, from, to, window);
+
+  const checkpoint = restart ? null : await storage.getState(key);
+  if (checkpoint?.completed) {
+    console.log(`✅ [${requestId}] ${shopType.toUpperCase()} - Backfill ${from} to ${to} already completed (use --restart to run it again)`);
+    return { shopType, shop, from, to, window, ...checkpoint, resumed: false };
+  }
+
+  const progress = {
+    windowStart: checkpoint?.windowStart || windows[0].startISO,
+    cursor: checkpoint?.cursor || null,
+    pages: checkpoint?.pages || 0,
+    orders: checkpoint?.orders || 0,
+    completed: false,
+  };
+
+  if (checkpoint) {
+    console.log(`⏩ [${requestId}] ${shopType.toUpperCase()} - Resuming backfill at ${progress.windowStart}${progress.cursor ? ' (mid-window)' : ''}`);
+  }
+
+  for (const { from: windowFrom, to: windowTo, startISO, endISO } of windows) {
+    if (endISO <= progress.windowStart) continue;
+
+    const queryString = [`created_at:>=${startISO}`, `created_at:<${endISO}`, "-test:true"].join(" ");
+    let cursor = startISO === progress.windowStart ? progress.cursor : null;
+    let windowOrders = 0;
+    let rateLimitRetries = 0;
+    let windowDone = false;
+
+    while (!windowDone) {
+      let connection;
+      try {
+        connection = bulk
+          ? { nodes: await client.fetchOrdersBulk(queryString), pageInfo: { hasNextPage: false } }
+          : await client.fetchOrdersPage(queryString, { cursor, requestId });
+        rateLimitRetries = 0;
+      } catch (error) {
+        if (!isRateLimitError(error) || rateLimitRetries >= MAX_RATE_LIMIT_RETRIES) throw error;
+        rateLimitRetries++;
+        const waitMs = 2000 * 2 ** rateLimitRetries;
+        console.warn(`⏳ [${requestId}] ${shopType.toUpperCase()} - Rate limited, resuming from checkpoint in ${waitMs / 1000}s`);
+        await sleep(waitMs);
+        continue;
+      }
+
+      if (connection.nodes.length > 0) {
+        await storage.saveOrders(shop, connection.nodes);
+      }
+
+      cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+      windowOrders += connection.nodes.length;
+      progress.pages++;
+      progress.orders += connection.nodes.length;
+      progress.windowStart = cursor ? startISO : endISO;
+      progress.cursor = cursor;
+      await storage.setState(key, progress);
+      windowDone = !cursor;
+    }
+
+    console.log(`📅 [${requestId}] ${shopType.toUpperCase()} - ${windowFrom} to ${windowTo} (${timeZone}): ${windowOrders} orders`);
+  }
+
+  progress.completed = true;
+  progress.completedAt = new Date().toISOString();
+  await storage.setState(key, progress);
+
+  console.log(`✅ [${requestId}] ${shopType.toUpperCase()} - Backfill complete: ${progress.orders} orders in ${progress.pages} pages`);
+
+  return { shopType, shop, from, to, window, bulk, ...progress, resumed: !!checkpoint };
+}
@@ -0,0 +1,145 @@
+import fetch from 'node-fetch';
+import readline from 'readline';
+import { buildBulkOrdersQuery } from '../utils/queries.js';
+
+// Shopify bulk operations: start a bulkOperationRunQuery, poll until it
+// finishes, then stream the JSONL result and stitch the nested line items back
+// into `order.lineItems.nodes`, the shape the metrics calculators expect.
+
+const RUN_BULK_QUERY = `
+  mutation RunBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_OPERATION_STATUS = `
+  query BulkOperationStatus($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+        partialDataUrl
+      }
+    }
+  }
+`;
+
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Start a bulk export of orders matching a search query
+ * @param {ShopifyClient} client - Client of the shop to export from
+ * @param {string} queryString - Orders search query
+ * @returns {Promise<Object>} Started bulk operation ({ id, status })
+ */
+export async function startBulkOrderExport(client, queryString) {
+  const response = await client.query(RUN_BULK_QUERY, { query: buildBulkOrdersQuery(queryString) });
+  const { bulkOperation, userErrors } = response.bulkOperationRunQuery;
+
+  if (userErrors?.length > 0) {
+    throw new Error(`Bulk operation rejected: ${userErrors.map(error => error.message).join(', ')}`);
+  }
+
+  return bulkOperation;
+}
+
+/**
+ * Poll a bulk operation until it reaches a final status
+ * @param {ShopifyClient} client - Client of the shop running the operation
+ * @param {string} id - Bulk operation GID
+ * @param {Object} options - { pollIntervalMs, timeoutMs }
+ * @returns {Promise<Object>} Completed bulk operation with its result url
+ */
+export async function waitForBulkOperation(client, id, { pollIntervalMs = 5000, timeoutMs = 60 * 60 * 1000 } = {}) {
+  const startedAt = Date.now();
+
+  while (true) {
+    const { node: operation } = await client.query(BULK_OPERATION_STATUS, { id });
+
+    if (FINISHED_STATUSES.includes(operation.status)) {
+      if (operation.status !== 'COMPLETED') {
+        throw new Error(`Bulk operation ${id} ended with status ${operation.status}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+      }
+      return operation;
+    }
+
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error(`Bulk operation ${id} did not finish within ${Math.round(timeoutMs / 1000)}s (status ${operation.status})`);
+    }
+
+    await sleep(pollIntervalMs);
+  }
+}
+
+/**
+ * Stream a JSONL file line by line without loading it into memory as a whole
+ * @param {string} url - Result file url
+ * @returns {AsyncGenerator<Object>} Parsed lines
+ */
+export async function* streamJsonl(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status} while downloading bulk result`);
+  }
+
+  const lines = readline.createInterface({ input: response.body, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+/**
+ * Rebuild orders from bulk result lines.
+ * Orders are top-level lines; line items carry `__parentId` pointing at their order.
+ * @param {AsyncIterable<Object>|Iterable<Object>} lines - Parsed JSONL lines
+ * @returns {Promise<Array>} Orders with `lineItems.nodes`, in file order
+ */
+export async function stitchBulkOrders(lines) {
+  const orders = new Map();
+
+  for await (const line of lines) {
+    const { __parentId: parentId, ...node } = line;
+
+    if (!parentId) {
+      orders.set(node.id, { ...node, lineItems: { nodes: [] } });
+      continue;
+    }
+
+    const parent = orders.get(parentId);
+    if (parent && node.id?.startsWith('gid://shopify/LineItem/')) {
+      parent.lineItems.nodes.push(node);
+    }
+  }
+
+  return Array.from(orders.values());
+}
+
+/**
+ * Export every order matching a search query through a bulk operation
+ * @param {ShopifyClient} client - Client of the shop to export from
+ * @param {string} queryString - Orders search query
+ * @param {Object} options - Polling options, see waitForBulkOperation
+ * @returns {Promise<Array>} Orders in the same shape as the paged queries
+ */
+export async function exportOrdersBulk(client, queryString, options = {}) {
+  const started = await startBulkOrderExport(client, queryString);
+  console.log(`📦 [${client.shopType}] Bulk export started: ${started.id}`);
+
+  const operation = await waitForBulkOperation(client, started.id, options);
+  console.log(`📦 [${client.shopType}] Bulk export finished: ${operation.objectCount} objects`);
+
+  // No url means the query matched nothing
+  if (!operation.url) return [];
+
+  return await stitchBulkOrders(streamJsonl(operation.url));
+}
@@ -0,0 +1,47 @@
+import { getShopConfig } from '../config/shopConfigs.js';
+import { QUERIES } from '../utils/queries.js';
+import { shopifyGraphQL } from './graphqlTransport.js';
+
+// Product variants of a shop (with product, price and unit cost), from the
+// QUERIES.catalogVariants template. Cached per shop domain for CATALOG_CACHE_MS.
+
+const CATALOG_CACHE_MS = 15 * 60 * 1000;
+const catalogCache = new Map();
+
+// Helper function to page through every variant of a shop
+async function fetchCatalog(shopConfig) {
+  const variants = [];
+  let after = null;
+
+  do {
+    const { data } = await shopifyGraphQL(shopConfig, QUERIES.catalogVariants, { first: 250, after });
+    data.productVariants.edges.forEach(({ node }) => variants.push(node));
+    after = data.productVariants.pageInfo.hasNextPage ? data.productVariants.pageInfo.endCursor : null;
+  } while (after);
+
+  return variants;
+}
+
+/**
+ * Get the product variants of a shop.
+ * Unlike locations there is nothing on the orders to fall back to, so a failed
+ * lookup throws.
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @returns {Promise<Array>} Variants { id, title, sku, price, inventoryItem, product }
+ * @throws {Error} When the shop is not configured or Shopify can't be reached
+ */
+export async function getShopCatalog(shopType) {
+  const shopConfig = getShopConfig(shopType);
+  if (!shopConfig.shop || !shopConfig.accessToken) {
+    throw new Error(`Shop ${shopType} is not configured`);
+  }
+
+  const cached = catalogCache.get(shopConfig.shop);
+  if (cached && Date.now() - cached.loadedAt < CATALOG_CACHE_MS) {
+    return cached.variants;
+  }
+
+  const variants = await fetchCatalog(shopConfig);
+  catalogCache.set(shopConfig.shop, { variants, loadedAt: Date.now() });
+  return variants;
+}
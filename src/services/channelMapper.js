@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/environment.js';
+
+// Reporting channels (web, pos, draft, wholesale, marketplace) from per-shop
+// mapping files: <channelMappingsDir>/<shop-type>.json when it exists, otherwise
+// default.json.
+//   "byAppId": { "gid://shopify/App/1234": "marketplace" }  the app that created the order
+//   "bySourceName": { "point_of_sale": "pos" }               the order's sourceName
+// byAppId is checked first; orders neither map matches are "unmapped".
+
+export const UNMAPPED_CHANNEL = "unmapped";
+
+// Parsed mapping per shop type, re-read when the file changes
+const mappingCache = new Map();
+
+// Helper function to find the mapping file of a shop type
+async function resolveMappingFile(shopType) {
+  const shopFile = path.resolve(config.sales.channelMappingsDir, `${shopType}.json`);
+  try {
+    const stats = await fs.stat(shopFile);
+    return { file: shopFile, mtimeMs: stats.mtimeMs };
+  } catch {
+    const defaultFile = path.resolve(config.sales.channelMappingsDir, 'default.json');
+    const stats = await fs.stat(defaultFile);
+    return { file: defaultFile, mtimeMs: stats.mtimeMs };
+  }
+}
+
+// Helper function to normalize a mapping file (lowercase source names, app ids as given and numeric)
+function compileMapping(definition) {
+  const bySourceName = new Map();
+  Object.entries(definition.bySourceName || {}).forEach(([sourceName, channel]) => {
+    bySourceName.set(sourceName.toLowerCase(), channel);
+  });
+
+  const byAppId = new Map();
+  Object.entries(definition.byAppId || {}).forEach(([appId, channel]) => {
+    byAppId.set(String(appId), channel);
+  });
+
+  const channels = [...new Set([...(definition.channels || []), ...bySourceName.values(), ...byAppId.values()])];
+  return { channels, bySourceName, byAppId };
+}
+
+/**
+ * Get the reporting channel mapper of a shop type.
+ * The mapping file is re-read when it changes.
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @returns {Promise<Object>} { source, channels, channelOf(order) } channelOf returns a channel or "unmapped"
+ */
+export async function getChannelMapper(shopType) {
+  const { file, mtimeMs } = await resolveMappingFile(shopType);
+  const cached = mappingCache.get(shopType);
+
+  if (!cached || cached.file !== file || cached.mtimeMs !== mtimeMs) {
+    const definition = JSON.parse(await fs.readFile(file, 'utf8'));
+    mappingCache.set(shopType, { file, mtimeMs, mapping: compileMapping(definition) });
+  }
+
+  const { channels, bySourceName, byAppId } = mappingCache.get(shopType).mapping;
+
+  return {
+    source: path.relative(process.cwd(), file),
+    channels,
+    channelOf(order) {
+      const appId = order.app?.id;
+      if (appId) {
+        const channel = byAppId.get(appId) ?? byAppId.get(appId.split('/').pop());
+        if (channel) return channel;
+      }
+      return bySourceName.get((order.sourceName || "").toLowerCase()) || UNMAPPED_CHANNEL;
+    },
+  };
+}
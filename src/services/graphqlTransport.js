@@ -0,0 +1,162 @@
+import fetch from 'node-fetch';
+import { config } from '../config/environment.js';
+
+// Shared Shopify Admin GraphQL transport used by the client, routes and CLIs.
+// - tracks the query cost bucket per shop from extensions.cost.throttleStatus
+// - waits before sending when the bucket can't cover the expected cost
+// - retries 429, 5xx and THROTTLED responses and network errors (connection
+//   resets, DNS failures, timeouts) with exponential backoff and jitter
+
+// Cost bucket per shop domain
+const costBuckets = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Estimated points available now, counting what was restored since the last response
+function estimateAvailable(bucket) {
+  const elapsedSeconds = (Date.now() - bucket.updatedAt) / 1000;
+  return Math.min(bucket.maximumAvailable, bucket.currentlyAvailable + elapsedSeconds * bucket.restoreRate);
+}
+
+function updateBucket(shop, cost) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+
+  costBuckets.set(shop, {
+    maximumAvailable: status.maximumAvailable,
+    currentlyAvailable: status.currentlyAvailable,
+    restoreRate: status.restoreRate,
+    lastRequestedCost: cost.requestedQueryCost,
+    updatedAt: Date.now(),
+  });
+}
+
+// Milliseconds to wait until the bucket covers the expected cost
+function waitForCost(shop, expectedCost) {
+  const bucket = costBuckets.get(shop);
+  if (!bucket || !bucket.restoreRate) return 0;
+
+  const needed = Math.min(bucket.maximumAvailable, expectedCost ?? bucket.lastRequestedCost ?? 0);
+  const available = estimateAvailable(bucket);
+  if (available >= needed) return 0;
+
+  return Math.ceil(((needed - available) / bucket.restoreRate) * 1000);
+}
+
+// Take the expected cost out of the bucket so concurrent requests wait their turn
+function reserveCost(shop, expectedCost) {
+  const bucket = costBuckets.get(shop);
+  if (!bucket) return;
+
+  bucket.currentlyAvailable = estimateAvailable(bucket) - (expectedCost ?? bucket.lastRequestedCost ?? 0);
+  bucket.updatedAt = Date.now();
+}
+
+function backoffDelay(attempt) {
+  const { retryBaseDelayMs, retryMaxDelayMs } = config.shopify;
+  const exponential = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt);
+  return exponential + Math.floor(Math.random() * retryBaseDelayMs);
+}
+
+const isThrottled = (errors) => errors?.some(error => error.extensions?.code === 'THROTTLED');
+
+/**
+ * Get the last known cost bucket of a shop
+ * @param {string} shop - Shop domain
+ * @returns {Object|null} Bucket with the estimated points available now
+ */
+export function getCostStatus(shop) {
+  const bucket = costBuckets.get(shop);
+  return bucket ? { ...bucket, estimatedAvailable: Math.floor(estimateAvailable(bucket)) } : null;
+}
+
+/**
+ * Send a GraphQL request to a shop's Admin API
+ * @param {Object} shopConfig - { shop, accessToken } from SHOP_CONFIGS
+ * @param {string} query - GraphQL query or mutation
+ * @param {Object} variables - Query variables
+ * @param {Object} options - { endpoint, expectedCost, maxRetries }
+ * @returns {Promise<Object>} { data, extensions, meta: { attempts, retries, waitedMs, cost } }
+ */
+export async function shopifyGraphQL(shopConfig, query, variables = {}, options = {}) {
+  const shop = shopConfig.shop;
+  const endpoint = options.endpoint || `https://${shop}/admin/api/${config.apiVersion}/graphql.json`;
+  const maxRetries = options.maxRetries ?? config.shopify.maxRetries;
+  const meta = { attempts: 0, retries: 0, waitedMs: 0, cost: null };
+
+  for (let attempt = 0; ; attempt++) {
+    const costWait = waitForCost(shop, options.expectedCost);
+    if (costWait > 0) {
+      meta.waitedMs += costWait;
+      await sleep(costWait);
+    }
+    reserveCost(shop, options.expectedCost);
+
+    meta.attempts++;
+    let response = null;
+    let networkError = null;
+    let retryReason = null;
+    let retryAfterMs = 0;
+    let body = null;
+
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Access-Token': shopConfig.accessToken,
+        },
+        body: JSON.stringify({ query, variables }),
+      });
+    } catch (error) {
+      networkError = error;
+    }
+
+    if (networkError) {
+      retryReason = `Network error (${networkError.code || networkError.message})`;
+    } else if (response.status === 429 || response.status >= 500) {
+      retryReason = `HTTP ${response.status}`;
+      retryAfterMs = (parseFloat(response.headers.get('retry-after')) || 0) * 1000;
+    } else if (!response.ok) {
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      error.meta = meta;
+      throw error;
+    } else {
+      body = await response.json();
+      updateBucket(shop, body.extensions?.cost);
+      meta.cost = body.extensions?.cost || null;
+
+      if (isThrottled(body.errors)) {
+        retryReason = 'THROTTLED';
+        retryAfterMs = waitForCost(shop, body.extensions?.cost?.requestedQueryCost);
+      } else if (body.errors) {
+        const error = new Error(`GraphQL errors: ${JSON.stringify(body.errors, null, 2)}`);
+        error.meta = meta;
+        throw error;
+      }
+    }
+
+    if (!retryReason) {
+      return { data: body.data, extensions: body.extensions, meta };
+    }
+
+    if (attempt >= maxRetries) {
+      let message = `HTTP error! status: ${response?.status} after ${meta.retries} retries`;
+      if (retryReason === 'THROTTLED') message = `GraphQL errors: THROTTLED after ${meta.retries} retries`;
+      if (networkError) message = `Network error: ${networkError.message} after ${meta.retries} retries`;
+
+      const error = new Error(message, networkError ? { cause: networkError } : undefined);
+      error.status = response?.status;
+      error.code = networkError?.code;
+      error.meta = meta;
+      throw error;
+    }
+
+    const delay = Math.max(backoffDelay(attempt), retryAfterMs);
+    meta.retries++;
+    meta.waitedMs += delay;
+    console.warn(`⏳ [${shop}] ${retryReason}, retry ${meta.retries}/${maxRetries} in ${delay}ms`);
+    await sleep(delay);
+  }
+}
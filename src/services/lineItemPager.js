@@ -0,0 +1,49 @@
+import { ORDER_LINE_ITEMS_QUERY } from '../utils/queries.js';
+
+// Order queries only select the first 50 line items. Orders whose line item
+// connection reports hasNextPage get the remaining pages through node(id),
+// so units and product analysis cover every line.
+// Orders that still miss lines afterwards are flagged with `lineItemsIncomplete`.
+
+// Line items per follow-up request. Larger than the 50 the orders queries nest
+// under each of up to 100 orders: a follow-up reads a single order, so its cost
+// is one line item page
+const LINE_ITEM_PAGE_SIZE = 100;
+
+/**
+ * Fetch the missing line items of every truncated order, in place
+ * @param {ShopifyClient} client - Client of the shop the orders belong to
+ * @param {Array} orders - Orders with `lineItems { pageInfo nodes }`
+ * @param {string} requestId - Request id for logs
+ * @returns {Promise<Array>} Orders that could not be completed
+ */
+export async function completeOrderLineItems(client, orders, requestId = "unknown") {
+  const incomplete = [];
+
+  for (const order of orders) {
+    const connection = order.lineItems;
+    if (!connection?.pageInfo?.hasNextPage) continue;
+
+    let cursor = connection.pageInfo.endCursor;
+    try {
+      while (cursor) {
+        const response = await client.query(ORDER_LINE_ITEMS_QUERY, { id: order.id, cursor, first: LINE_ITEM_PAGE_SIZE });
+        const page = response.node?.lineItems;
+        if (!page) {
+          throw new Error('Order not found');
+        }
+
+        connection.nodes.push(...page.nodes);
+        cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+        connection.pageInfo = page.pageInfo;
+      }
+      console.log(`📄 [${requestId}] ${order.name || order.id} - Fetched all ${connection.nodes.length} line items`);
+    } catch (error) {
+      order.lineItemsIncomplete = true;
+      incomplete.push(order);
+      console.warn(`⚠️  [${requestId}] ${order.name || order.id} - Only ${connection.nodes.length} line items fetched:`, error.message);
+    }
+  }
+
+  return incomplete;
+}
@@ -0,0 +1,49 @@
+import { getShopConfig } from '../config/shopConfigs.js';
+import { QUERIES } from '../utils/queries.js';
+import { shopifyGraphQL } from './graphqlTransport.js';
+
+// Shop locations (stores, vending machines) with names and addresses, from the
+// QUERIES.locations template. Cached per shop domain for LOCATION_CACHE_MS.
+
+const LOCATION_CACHE_MS = 60 * 60 * 1000;
+const locationCache = new Map();
+
+// Helper function to page through every location of a shop
+async function fetchLocations(shopConfig) {
+  const locations = new Map();
+  let after = null;
+
+  do {
+    const { data } = await shopifyGraphQL(shopConfig, QUERIES.locations, { first: 250, after });
+    data.locations.edges.forEach(({ node }) => locations.set(node.id, node));
+    after = data.locations.pageInfo.hasNextPage ? data.locations.pageInfo.endCursor : null;
+  } while (after);
+
+  return locations;
+}
+
+/**
+ * Get the locations of a shop by id.
+ * A failed lookup returns an empty map, so callers fall back to the location
+ * names carried on the orders.
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @returns {Promise<Map>} Location GID to { id, name, address, isActive, ... }
+ */
+export async function getShopLocations(shopType) {
+  const shopConfig = getShopConfig(shopType);
+  if (!shopConfig.shop || !shopConfig.accessToken) return new Map();
+
+  const cached = locationCache.get(shopConfig.shop);
+  if (cached && Date.now() - cached.loadedAt < LOCATION_CACHE_MS) {
+    return cached.locations;
+  }
+
+  try {
+    const locations = await fetchLocations(shopConfig);
+    locationCache.set(shopConfig.shop, { locations, loadedAt: Date.now() });
+    return locations;
+  } catch (error) {
+    console.warn(`⚠️  [${shopType}] Could not load locations, using the names on the orders:`, error.message);
+    return new Map();
+  }
+}
@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ShopifyClient from './shopifyClient.js';
+import { getPackSizeResolver } from './packSizes.js';
+import { buildDetailedReport, renderExport } from '../utils/exporter.js';
+
+// Yesterday's detailed metrics of a shop saved to ./data, shared by
+// `node get-metrics.js` and the scheduler's yesterday-snapshot job.
+
+const OUTPUT_DIR = './data';
+
+/**
+ * Fetch yesterday's detailed metrics of a shop and save them to
+ * ./data/metrics-<shop>-<date>.json. format csv or xlsx also writes the summary
+ * and product lists (plus order rows with includeOrders) next to it.
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @param {Object} options - { format, includeOrders, requestId }
+ * @returns {Promise<Object>} { shop, metrics, completeness, meta, file, exportFile } metrics is the detailed summary
+ */
+export async function saveYesterdayMetrics(shopType = "ecommerce", { format = "json", includeOrders = false, requestId = "unknown" } = {}) {
+  const client = new ShopifyClient(shopType);
+  const data = await client.fetchYesterdayData(requestId);
+  const metrics = data.summary;
+
+  await fs.mkdir(OUTPUT_DIR, { recursive: true });
+
+  const file = path.join(OUTPUT_DIR, `metrics-${shopType}-${metrics.dateRange.from}.json`);
+  await fs.writeFile(
+    file,
+    JSON.stringify({
+      shopType,
+      shop: data.shop,
+      date: metrics.dateRange.from,
+      metrics: {
+        totalSales: metrics.totalSales,
+        grossSales: metrics.grossSales,
+        netSales: metrics.netSales,
+        grossProfit: metrics.grossProfit,
+        grossProfitMargin: metrics.grossProfitMargin,
+        orders: metrics.totalOrders,
+        aov: metrics.averageOrderValue,
+        cogs: metrics.totalCOGS,
+        missingCost: metrics.missingCost,
+        unitsSold: metrics.totalUnitsSold,
+        capsulesSold: metrics.totalCapsulesSold,
+        capsulePacks: metrics.capsulePacks,
+        totalRefunded: metrics.totalRefunded,
+        totalDiscounts: metrics.totalDiscounts,
+        totalTax: metrics.totalTax,
+        totalShipping: metrics.totalShipping
+      },
+      completeness: data.completeness
+    }, null, 2)
+  );
+
+  let exportFile = null;
+  if (format !== "json") {
+    const report = buildDetailedReport(data, { packSizes: await getPackSizeResolver(), includeOrders });
+    const { body, extension } = await renderExport(report, format);
+    exportFile = path.join(OUTPUT_DIR, `metrics-${shopType}-${metrics.dateRange.from}.${extension}`);
+    await fs.writeFile(exportFile, body);
+  }
+
+  return {
+    shop: data.shop,
+    metrics,
+    completeness: data.completeness,
+    meta: data.meta,
+    file: `./${file}`,
+    exportFile: exportFile && `./${exportFile}`,
+  };
+}
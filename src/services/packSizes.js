@@ -0,0 +1,58 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/environment.js';
+
+// Pack sizes (items per sold unit, e.g. 10 for a 10-capsule box).
+// Order: the variant's pack size metafield (config.products.packSizeMetafield),
+// then the local mapping file by variant id, then by SKU, otherwise 1.
+
+let cached = null;
+
+// Helper function to read a positive whole pack size (null when missing or invalid)
+function toPackSize(value) {
+  const size = parseInt(value, 10);
+  return Number.isInteger(size) && size > 0 ? size : null;
+}
+
+// Helper function to load the mapping file, re-read when it changes
+async function loadMapping() {
+  const file = path.resolve(config.products.packSizesFile);
+
+  let mtimeMs;
+  try {
+    mtimeMs = (await fs.stat(file)).mtimeMs;
+  } catch {
+    return { bySku: {}, byVariantId: {} };
+  }
+
+  if (!cached || cached.file !== file || cached.mtimeMs !== mtimeMs) {
+    const mapping = JSON.parse(await fs.readFile(file, 'utf8'));
+    const bySku = {};
+    Object.entries(mapping.bySku || {}).forEach(([sku, size]) => {
+      bySku[sku.toLowerCase()] = size;
+    });
+    cached = { file, mtimeMs, mapping: { bySku, byVariantId: mapping.byVariantId || {} } };
+  }
+
+  return cached.mapping;
+}
+
+/**
+ * Get a resolver for the pack size of a line item
+ * @returns {Promise<Object>} { packSizeOf(item) } returning the items per unit sold (1 when unknown)
+ */
+export async function getPackSizeResolver() {
+  const { bySku, byVariantId } = await loadMapping();
+
+  return {
+    packSizeOf(item) {
+      const variant = item.variant;
+      const sku = (variant?.sku || item.sku || "").toLowerCase();
+
+      return toPackSize(variant?.packSize?.value)
+        ?? toPackSize(variant?.id && byVariantId[variant.id])
+        ?? toPackSize(sku && bySku[sku])
+        ?? 1;
+    },
+  };
+}
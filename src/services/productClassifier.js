@@ -0,0 +1,180 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/environment.js';
+import { getShopConfig } from '../config/shopConfigs.js';
+import { shopifyGraphQL } from './graphqlTransport.js';
+
+// Product classification from per-shop rules files.
+// <rulesDir>/<shop-type>.json is used when it exists, otherwise default.json.
+// Rules are checked in order and the first match wins:
+//   { "category": "machines", "sku": ["MCH-1"] }             exact SKU
+//   { "category": "capsules", "skuPattern": "^CAP-" }        SKU regex
+//   { "category": "capsules", "productType": ["Capsules"] }  product type
+//   { "category": "capsules", "tag": ["capsule"] }           product tag
+//   { "category": "cups", "collection": ["cups"] }           collection handle
+//   { "category": "capsules", "titlePattern": "კაფსულ" }      regex over product, variant and line item titles
+// Text matching is case-insensitive.
+
+const COLLECTION_PRODUCTS_QUERY = `
+  query getCollectionProducts($handle: String!, $cursor: String) {
+    collectionByHandle(handle: $handle) {
+      products(first: 250, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes { id }
+      }
+    }
+  }
+`;
+
+export const UNCLASSIFIED = "unclassified";
+
+// Compiled classifier per shop type, rebuilt when the rules file changes
+const classifierCache = new Map();
+// Product ids per collection handle, per shop domain
+const collectionCache = new Map();
+
+const lower = (values) => (Array.isArray(values) ? values : [values]).map(value => String(value).toLowerCase());
+
+// Helper function to find the rules file of a shop type
+async function resolveRulesFile(shopType) {
+  const shopFile = path.resolve(config.products.rulesDir, `${shopType}.json`);
+  try {
+    const stats = await fs.stat(shopFile);
+    return { file: shopFile, mtimeMs: stats.mtimeMs };
+  } catch {
+    const defaultFile = path.resolve(config.products.rulesDir, 'default.json');
+    const stats = await fs.stat(defaultFile);
+    return { file: defaultFile, mtimeMs: stats.mtimeMs };
+  }
+}
+
+// Helper function to turn a rules file into matchers
+function compileRules(definition, file) {
+  if (!Array.isArray(definition.rules)) {
+    throw new Error(`Rules file ${file} has no "rules" array`);
+  }
+
+  return definition.rules.map((rule, index) => {
+    if (!rule.category) {
+      throw new Error(`Rule ${index} in ${file} has no category`);
+    }
+
+    return {
+      category: rule.category,
+      sku: rule.sku ? lower(rule.sku) : null,
+      skuPattern: rule.skuPattern ? new RegExp(rule.skuPattern, 'iu') : null,
+      productType: rule.productType ? lower(rule.productType) : null,
+      tag: rule.tag ? lower(rule.tag) : null,
+      collection: rule.collection ? lower(rule.collection) : null,
+      titlePattern: rule.titlePattern ? new RegExp(rule.titlePattern, 'iu') : null,
+    };
+  });
+}
+
+// Helper function to load the product ids of every collection the rules use
+async function loadCollections(shopType, handles) {
+  const shopConfig = getShopConfig(shopType);
+  if (handles.length === 0 || !shopConfig.shop || !shopConfig.accessToken) return new Map();
+
+  const cached = collectionCache.get(shopConfig.shop);
+  const sameHandles = cached && handles.every(handle => cached.collections.has(handle));
+  if (sameHandles && Date.now() - cached.loadedAt < config.products.collectionCacheMs) {
+    return cached.collections;
+  }
+
+  const collections = new Map();
+  for (const handle of handles) {
+    const productIds = new Set();
+    let cursor = null;
+
+    try {
+      do {
+        const { data } = await shopifyGraphQL(shopConfig, COLLECTION_PRODUCTS_QUERY, { handle, cursor });
+        const products = data.collectionByHandle?.products;
+        if (!products) {
+          console.warn(`⚠️  [${shopType}] Collection "${handle}" used in product rules was not found`);
+          break;
+        }
+        products.nodes.forEach(product => productIds.add(product.id));
+        cursor = products.pageInfo.hasNextPage ? products.pageInfo.endCursor : null;
+      } while (cursor);
+    } catch (error) {
+      console.warn(`⚠️  [${shopType}] Could not load collection "${handle}", its rules won't match:`, error.message);
+    }
+
+    collections.set(handle, productIds);
+  }
+
+  collectionCache.set(shopConfig.shop, { collections, loadedAt: Date.now() });
+  return collections;
+}
+
+// Helper function to check one rule against a line item
+function matchesRule(rule, item, collections) {
+  const variant = item.variant;
+  const product = variant?.product;
+  const sku = (variant?.sku || item.sku || "").toLowerCase();
+
+  if (rule.sku && sku && rule.sku.includes(sku)) return true;
+  if (rule.skuPattern && sku && rule.skuPattern.test(sku)) return true;
+  if (rule.productType && product?.productType && rule.productType.includes(product.productType.toLowerCase())) return true;
+  if (rule.tag && product?.tags?.some(tag => rule.tag.includes(tag.toLowerCase()))) return true;
+  if (rule.collection && product?.id && rule.collection.some(handle => collections.get(handle)?.has(product.id))) return true;
+
+  if (rule.titlePattern) {
+    const titles = [product?.title, variant?.title, item.title, item.variantTitle].filter(Boolean).join(" ");
+    if (rule.titlePattern.test(titles)) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Build a line item classifier from compiled rules
+ * @param {Array} rules - Compiled rules
+ * @param {Map} collections - Collection handle to product id set
+ * @param {Object} definition - Parsed rules file
+ * @param {string} source - Rules file the classifier came from
+ * @returns {Object} { classify(item), categories, capsuleCategory, source }
+ */
+function buildClassifier(rules, collections, definition, source) {
+  const categories = [...new Set([...(definition.categories || []), ...rules.map(rule => rule.category)])];
+  // Metrics classify the same line item more than once
+  const results = new WeakMap();
+
+  return {
+    source,
+    categories,
+    capsuleCategory: definition.capsuleCategory || "capsules",
+    classify(item) {
+      if (!results.has(item)) {
+        const rule = rules.find(candidate => matchesRule(candidate, item, collections));
+        results.set(item, rule ? rule.category : UNCLASSIFIED);
+      }
+      return results.get(item);
+    },
+  };
+}
+
+/**
+ * Get the product classifier of a shop type.
+ * The rules file is re-read when it changes, collections are refreshed after
+ * config.products.collectionCacheMs.
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @returns {Promise<Object>} Classifier with classify(lineItem) returning a category or "unclassified"
+ */
+export async function getProductClassifier(shopType) {
+  const { file, mtimeMs } = await resolveRulesFile(shopType);
+  const cached = classifierCache.get(shopType);
+
+  if (!cached || cached.file !== file || cached.mtimeMs !== mtimeMs) {
+    const definition = JSON.parse(await fs.readFile(file, 'utf8'));
+    classifierCache.set(shopType, { file, mtimeMs, definition, rules: compileRules(definition, file) });
+  }
+
+  const { definition, rules } = classifierCache.get(shopType);
+  const handles = [...new Set(rules.flatMap(rule => rule.collection || []))];
+  const collections = await loadCollections(shopType, handles);
+
+  return buildClassifier(rules, collections, definition, path.relative(process.cwd(), file));
+}
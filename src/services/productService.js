@@ -0,0 +1,84 @@
+import { processOrdersForStore } from './salesService.js';
+import { getProductClassifier } from './productClassifier.js';
+import { getPackSizeResolver } from './packSizes.js';
+import { getShopCatalog } from './catalogService.js';
+import { listUnclassifiedItems, calculateCategoryBreakdown, calculateProductPerformance } from '../utils/metricsCalculator.js';
+
+// Page size of the product performance report when none is asked for, and the largest allowed
+export const PERFORMANCE_PAGE_SIZE = 50;
+export const MAX_PERFORMANCE_PAGE_SIZE = 250;
+
+/**
+ * List the line items a shop sold in a date range that no classification rule matches
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @param {Object} dateRange - Range from dateUtils
+ * @param {Object} options - { requestId }
+ * @returns {Promise<Object>} Rules file used, category totals and the unclassified items
+ */
+export async function getUnclassifiedProducts(shopType, dateRange, { requestId = "unknown" } = {}) {
+  const classifier = await getProductClassifier(shopType);
+  const { orders, meta, completeness } = await processOrdersForStore(shopType, dateRange, requestId);
+  const items = listUnclassifiedItems(orders, classifier);
+
+  console.log(`✅ [${requestId}] ${shopType.toUpperCase()} ${dateRange.from} to ${dateRange.to} - ${items.length} unclassified items (rules: ${classifier.source})`);
+
+  return {
+    shopType,
+    dateRange: {
+      from: dateRange.from,
+      to: dateRange.to,
+      timeZone: dateRange.timeZone,
+    },
+    rules: classifier.source,
+    categories: calculateCategoryBreakdown(orders, classifier),
+    unclassified: items,
+    completeness,
+    meta
+  };
+}
+
+/**
+ * Get the sales performance of every product (or variant) of a shop in a date range,
+ * including the active products that sold nothing, one page at a time
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @param {Object} dateRange - Range from dateUtils
+ * @param {Object} options - { requestId, groupBy, sort, order, page, pageSize } see calculateProductPerformance
+ * @returns {Promise<Object>} Totals over all items, the requested page of items and its pagination
+ */
+export async function getProductPerformance(shopType, dateRange, {
+  requestId = "unknown",
+  groupBy = "product",
+  sort = "revenue",
+  order = "desc",
+  page = 1,
+  pageSize = PERFORMANCE_PAGE_SIZE,
+} = {}) {
+  const [catalog, packSizes] = await Promise.all([getShopCatalog(shopType), getPackSizeResolver()]);
+  const { orders, meta, completeness } = await processOrdersForStore(shopType, dateRange, requestId);
+  const { items, totals } = calculateProductPerformance(orders, { groupBy, catalog, packSizes, sort, order });
+
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+  console.log(`✅ [${requestId}] ${shopType.toUpperCase()} ${dateRange.from} to ${dateRange.to} - Performance of ${items.length} ${groupBy}s (${totals.itemsWithoutSales} without sales)`);
+
+  return {
+    shopType,
+    dateRange: {
+      from: dateRange.from,
+      to: dateRange.to,
+      timeZone: dateRange.timeZone,
+    },
+    groupBy,
+    sort,
+    order,
+    pagination: {
+      page,
+      pageSize,
+      totalItems: items.length,
+      totalPages,
+    },
+    totals,
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+    completeness,
+    meta
+  };
+}
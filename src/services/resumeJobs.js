@@ -0,0 +1,83 @@
+import { randomUUID } from 'crypto';
+
+// In-memory background jobs that finish truncated sales requests.
+// A job runs once; its result stays available for JOB_TTL_MS after it ends.
+
+const JOB_TTL_MS = 60 * 60 * 1000;
+const jobs = new Map();
+
+// Helper function to drop jobs that ended more than JOB_TTL_MS ago
+function pruneJobs() {
+  const now = Date.now();
+  jobs.forEach((job, id) => {
+    if (job.finishedAt && now - new Date(job.finishedAt).getTime() > JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  });
+}
+
+// Helper function for the public view of a job
+function describeJob(job, { includeResult = false } = {}) {
+  return {
+    id: job.id,
+    description: job.description,
+    status: job.status,
+    url: `/sales/jobs/${job.id}`,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    ...(job.error ? { error: job.error } : {}),
+    ...(includeResult && job.result ? { result: job.result } : {}),
+  };
+}
+
+/**
+ * Start a background job
+ * @param {string} description - What the job completes, for logs and status
+ * @param {Function} run - async () => result
+ * @param {string} requestId - Request id for logs
+ * @returns {Object} Job status (id, status, url)
+ */
+export function startResumeJob(description, run, requestId = "unknown") {
+  pruneJobs();
+
+  const job = {
+    id: randomUUID(),
+    description,
+    status: "running",
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    result: null,
+    error: null,
+  };
+  jobs.set(job.id, job);
+
+  console.log(`🔁 [${requestId}] Resuming in background job ${job.id}: ${description}`);
+
+  run()
+    .then(result => {
+      job.status = "completed";
+      job.result = result;
+      console.log(`✅ [${requestId}] Background job ${job.id} completed`);
+    })
+    .catch(error => {
+      job.status = "failed";
+      job.error = error.message;
+      console.error(`❌ [${requestId}] Background job ${job.id} failed:`, error.message);
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+    });
+
+  return describeJob(job);
+}
+
+/**
+ * Get a background job with its result once completed
+ * @param {string} id - Job id
+ * @returns {Object|null} Job status, or null when unknown or expired
+ */
+export function getResumeJob(id) {
+  pruneJobs();
+  const job = jobs.get(id);
+  return job ? describeJob(job, { includeResult: true }) : null;
+}
@@ -0,0 +1,569 @@
+import ShopifyClient from './shopifyClient.js';
+import { getStorage, persistOrders } from './storage/index.js';
+import { getShopTimezone } from './shopTimezone.js';
+import { getProductClassifier } from './productClassifier.js';
+import { getPackSizeResolver } from './packSizes.js';
+import { getChannelMapper } from './channelMapper.js';
+import { getShopLocations } from './locationService.js';
+import { startResumeJob } from './resumeJobs.js';
+import { config } from '../config/environment.js';
+import { getShopConfig, getAvailableShops } from '../config/shopConfigs.js';
+import { getSalesChannel } from '../config/salesChannels.js';
+import { buildOrderQueryString, buildEarlierOrdersQueryString } from '../utils/queryBuilder.js';
+import { calculateSourceMetrics, calculateProductAnalysis, calculateChannelBreakdown, calculateCategoryBreakdown, listRefundsInRange } from '../utils/metricsCalculator.js';
+import { getPeriodRange, shiftRange, countRangeDays } from '../utils/dateUtils.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { getBaselineShiftDays, compareSummaries, compareProducts } from '../utils/comparison.js';
+import { buildCompleteness, mergeCompleteness } from '../utils/completeness.js';
+import { calculateTimeBreakdown } from '../utils/breakdown.js';
+import { groupOrdersBySource, getOrderLocation } from '../utils/orderSources.js';
+import { listOrderRows } from '../utils/exporter.js';
+
+// Helper function to process orders for any store
+// Returns the orders, transport metadata (requests, retries, time waited) and a
+// completeness block. Paging stops after options.maxPages (config.sales.maxPages);
+// options.cursor continues a truncated fetch from its lastCursor. By default the
+// orders placed in the range are fetched; options.queryString and options.keep
+// (order => boolean) fetch another set, e.g. earlier orders refunded in the range.
+// channelFilter keeps the orders of those reporting channels (see channelMapper.js).
+// options.fromStorage reads the orders sync, backfill and earlier pulls stored
+// instead of fetching them (options.storedRange picks them like queryString does).
+export async function processOrdersForStore(shop, dateRange, requestId, channelFilter = null, {
+  cursor: startCursor = null,
+  maxPages = config.sales.maxPages,
+  queryString = null,
+  keep = null,
+  fromStorage = false,
+  storedRange = null,
+} = {}) {
+  const { startISO, endISO, startDate, endDate } = dateRange;
+  const keepOrder = keep || ((order) => {
+    const orderDate = new Date(order.createdAt);
+    return orderDate >= startDate && orderDate <= endDate;
+  });
+
+  if (fromStorage) {
+    const stored = await readStoredOrders(shop, storedRange || { from: startISO, to: endISO }, requestId);
+    const orders = await filterByReportingChannel(shop, stored.filter(keepOrder), channelFilter);
+    return {
+      orders,
+      meta: { requests: 0, retries: 0, waitedMs: 0 },
+      completeness: buildCompleteness({ pagesFetched: 0, truncated: false, lastCursor: null, orders }),
+    };
+  }
+
+  const client = new ShopifyClient(shop);
+
+  console.log(`\n📊 [${requestId}] ${shop.toUpperCase()} - Starting data fetch`);
+  console.log(`   🏪 Shop: ${shop}`);
+  console.log(`   📅 Date Range: ${dateRange.from} to ${dateRange.to} (${dateRange.timeZone})`);
+
+  const orderQueryString = queryString || buildOrderQueryString(startISO, endISO, shop);
+
+  let cursor = startCursor;
+  let hasNext = true;
+  const orders = [];
+  let requestCount = 0;
+
+  while (hasNext) {
+    if (requestCount >= maxPages) {
+      console.warn(`⚠️  [${requestId}] ${shop.toUpperCase()} - Stopped after ${requestCount} pages, data is truncated`);
+      break;
+    }
+    requestCount++;
+    const conn = await client.fetchOrdersPage(orderQueryString, { cursor, requestId });
+
+    const filteredOrders = conn.nodes.filter(keepOrder);
+
+    orders.push(...filteredOrders);
+    hasNext = conn.pageInfo.hasNextPage;
+    cursor = conn.pageInfo.endCursor;
+  }
+
+  await persistOrders(shop, orders, requestId);
+
+  const finalOrders = await filterByReportingChannel(shop, orders, channelFilter);
+
+  return {
+    orders: finalOrders,
+    meta: { ...client.stats },
+    completeness: buildCompleteness({ pagesFetched: requestCount, truncated: hasNext, lastCursor: hasNext ? cursor : null, orders: finalOrders }),
+  };
+}
+
+// Helper function to apply a reporting channel filter if specified
+async function filterByReportingChannel(shop, orders, channelFilter) {
+  if (!channelFilter) return orders;
+  const mapper = await getChannelMapper(shop);
+  return orders.filter(order => channelFilter.includes(mapper.channelOf(order)));
+}
+
+// Helper function to read a shop's stored orders. Orders are stored per shop
+// domain, so the store channel of shop types sharing a store (Brand Stores) is
+// matched here, like the channel: part of the Shopify query does.
+async function readStoredOrders(shop, { from = null, to = null, includeCancelled = false }, requestId) {
+  if (!config.storage.enabled) {
+    throw new Error('Storage is disabled (STORAGE_ENABLED=false), there are no stored orders to read');
+  }
+
+  const shopConfig = getShopConfig(shop);
+  const storage = await getStorage();
+  const orders = (await storage.getOrders(shopConfig.shop, { from, to, includeCancelled }))
+    .filter(order => !shopConfig.channel || order.channelInformation?.channelDefinition?.channelName === shopConfig.channel);
+
+  console.log(`🗄️  [${requestId}] ${shop.toUpperCase()} - Read ${orders.length} stored orders (${from || 'start'} to ${to || 'now'})`);
+  return orders;
+}
+
+/**
+ * Resolve which shop a sales channel reads from
+ * @param {Object} channelConfig - Entry of SALES_CHANNELS
+ * @param {string} shopOverride - Optional ?shop= value
+ * @returns {string} Shop type
+ */
+export function resolveChannelShop(channelConfig, shopOverride) {
+  return channelConfig.shopOverridable && shopOverride ? shopOverride : channelConfig.shop;
+}
+
+/**
+ * Resolve the timezone a sales channel's days are counted in
+ * @param {string} channel - Sales channel from SALES_CHANNELS
+ * @param {string} shopOverride - Optional ?shop= value
+ * @returns {Promise<string>} IANA timezone of the channel's shop
+ */
+export async function getChannelTimezone(channel, shopOverride = null) {
+  const channelConfig = getSalesChannel(channel);
+  if (!channelConfig) {
+    throw new Error(`Unknown sales channel: ${channel}`);
+  }
+  return getShopTimezone(resolveChannelShop(channelConfig, shopOverride));
+}
+
+// Helper function to fetch the orders placed before a range that had refunds issued in it
+function fetchEarlierRefundedOrders(shopType, dateRange, requestId, channelFilter, options = {}) {
+  const { startISO, startDate, endDate } = dateRange;
+  return processOrdersForStore(shopType, dateRange, requestId, channelFilter, {
+    ...options,
+    queryString: buildEarlierOrdersQueryString(startISO, shopType),
+    storedRange: { to: startISO, includeCancelled: true },
+    keep: (order) => listRefundsInRange([order], startDate, endDate).length > 0,
+  });
+}
+
+// Helper function to fetch a channel's orders (source filter applied) for a date range.
+// The transaction basis also fetches earlier orders refunded in the range (earlier).
+// fromStorage reads the stored orders instead (see processOrdersForStore).
+async function fetchChannelOrders(channel, dateRange, { shop = null, requestId = "unknown", basis = "order", fromStorage = false } = {}) {
+  const channelConfig = getSalesChannel(channel);
+  if (!channelConfig) {
+    throw new Error(`Unknown sales channel: ${channel}`);
+  }
+
+  const shopType = resolveChannelShop(channelConfig, shop);
+  const channelFilter = channelConfig.reportingChannels || null;
+  const { orders, meta, completeness } = await processOrdersForStore(shopType, dateRange, requestId, channelFilter, { fromStorage });
+  const earlier = basis === "transaction"
+    ? await fetchEarlierRefundedOrders(shopType, dateRange, requestId, channelFilter, { fromStorage })
+    : null;
+
+  return { channelConfig, shopType, basis, orders, meta, completeness, earlier };
+}
+
+// Helper function for the refunds a channel's transaction basis books in the range
+function listChannelRefunds({ basis, orders, earlier }, dateRange) {
+  if (basis !== "transaction") return [];
+  return listRefundsInRange([...orders, ...(earlier?.orders || [])], dateRange.startDate, dateRange.endDate);
+}
+
+// Helper function for what every calculateSourceMetrics call of a shop takes:
+// its product classifier (categories) and the pack size resolver (equivalent units)
+async function getMetricsOptions(shopType) {
+  const [classifier, packSizes] = await Promise.all([getProductClassifier(shopType), getPackSizeResolver()]);
+  return { classifier, packSizes };
+}
+
+// Helper function to add up category breakdowns (calculateCategoryBreakdown) of several shops
+function sumCategories(breakdowns) {
+  const categories = {};
+  breakdowns.forEach(breakdown => {
+    Object.entries(breakdown).forEach(([category, { units, revenue, orders }]) => {
+      const entry = categories[category] || (categories[category] = { units: 0, revenue: 0, orders: 0 });
+      entry.units += units;
+      entry.revenue = Math.round((entry.revenue + revenue) * 100) / 100;
+      entry.orders += orders;
+    });
+  });
+  return categories;
+}
+
+// Helper function to add up the transport metadata of several fetches
+function sumMeta(metas) {
+  return metas.reduce((total, meta) => ({
+    requests: total.requests + meta.requests,
+    retries: total.retries + meta.retries,
+    waitedMs: total.waitedMs + meta.waitedMs,
+  }), { requests: 0, retries: 0, waitedMs: 0 });
+}
+
+// Helper function to build a channel's sales response body from its orders.
+// options.breakdown adds sales per hour, day or weekday, options.includeOrders one row per order.
+async function buildChannelSalesResponse(fetched, dateRange, requestId, { breakdown = null, includeOrders = false } = {}) {
+  const { channelConfig, shopType, basis, orders, meta, completeness, earlier } = fetched;
+  const { from, to, timeZone } = dateRange;
+  const metricsOptions = await getMetricsOptions(shopType);
+  const mapper = await getChannelMapper(shopType);
+  const refunds = listChannelRefunds(fetched, dateRange);
+  const metrics = calculateSourceMetrics(orders, channelConfig.label, { ...metricsOptions, basis, refunds });
+
+  console.log(`✅ [${requestId}] ${channelConfig.label.toUpperCase()} ${from} to ${to} - Complete: ${metrics.summary.totalSales.toFixed(2)} ${metrics.summary.currencyCode || "GEL"} (${metrics.summary.totalOrders} orders)`);
+
+  return {
+    dateRange: {
+      from,
+      to,
+      timeZone,
+      lastUpdated: new Date().toISOString(),
+    },
+    basis,
+    ...metrics,
+    channels: calculateChannelBreakdown(orders, mapper),
+    ...(breakdown ? {
+      breakdown: calculateTimeBreakdown(orders, breakdown, dateRange, { weekStartsOn: config.sales.weekStartsOn, basis, refunds }),
+    } : {}),
+    ...(includeOrders ? { orders: listOrderRows(orders) } : {}),
+    completeness: earlier ? mergeCompleteness([completeness, earlier.completeness]) : completeness,
+    meta: earlier ? sumMeta([meta, earlier.meta]) : meta
+  };
+}
+
+// Helper function to fetch the pages a truncated fetch left out.
+// fetchRest(options) continues the same fetch from options.cursor.
+async function finishFetch(part, fetchRest) {
+  if (!part.completeness.truncated) return part;
+
+  const rest = await fetchRest({ cursor: part.completeness.lastCursor, maxPages: Infinity });
+  const orders = [...part.orders, ...rest.orders];
+
+  return {
+    orders,
+    meta: sumMeta([part.meta, rest.meta]),
+    completeness: buildCompleteness({
+      pagesFetched: part.completeness.pagesFetched + rest.completeness.pagesFetched,
+      truncated: false,
+      lastCursor: null,
+      orders,
+    }),
+  };
+}
+
+// Helper function to finish a truncated channel fetch and rebuild the response over all orders
+async function resumeChannelSales(fetched, dateRange, requestId, responseOptions) {
+  const { shopType, channelConfig } = fetched;
+  const channelFilter = channelConfig.reportingChannels || null;
+
+  const main = await finishFetch(fetched, (options) => processOrdersForStore(shopType, dateRange, requestId, channelFilter, options));
+  const earlier = fetched.earlier
+    ? await finishFetch(fetched.earlier, (options) => fetchEarlierRefundedOrders(shopType, dateRange, requestId, channelFilter, options))
+    : null;
+
+  return buildChannelSalesResponse({ ...fetched, ...main, earlier }, dateRange, requestId, responseOptions);
+}
+
+/**
+ * Fetch a channel's orders for a date range and calculate its sales metrics.
+ * When paging stops at config.sales.maxPages the response is returned as is,
+ * with completeness.truncated set. With options.resume (or
+ * SALES_BACKGROUND_RESUME) a background job fetches the rest, see
+ * completeness.resumeJob.
+ * options.basis is one of SALES_BASES: "order" (default) books refunds on their
+ * order's day, "transaction" on the day they were issued.
+ * options.breakdown (one of BREAKDOWNS) adds sales, orders, units and AOV per
+ * hour, day or weekday in the shop's timezone.
+ * options.includeOrders adds one row per order (listOrderRows) for exports.
+ * options.fromStorage reads the orders stored in the warehouse instead of
+ * fetching them from Shopify; the numbers cover what sync and backfill stored.
+ * @param {string} channel - Sales channel from SALES_CHANNELS
+ * @param {Object} dateRange - Range from dateUtils (startISO, endISO, startDate, endDate, from, to, timeZone)
+ * @param {Object} options - { shop, requestId, resume, basis, breakdown, includeOrders, fromStorage }
+ * @returns {Promise<Object>} Sales response body (dateRange, basis, source, summary, productAnalysis, breakdown, completeness, meta)
+ */
+export async function getChannelSales(channel, dateRange, { shop = null, requestId = "unknown", resume = config.sales.backgroundResume, basis = "order", breakdown = null, includeOrders = false, fromStorage = false } = {}) {
+  const fetched = await fetchChannelOrders(channel, dateRange, { shop, requestId, basis, fromStorage });
+  const response = await buildChannelSalesResponse(fetched, dateRange, requestId, { breakdown, includeOrders });
+
+  if (response.completeness.truncated && resume) {
+    response.completeness.resumeJob = startResumeJob(
+      `${channel} ${dateRange.from} to ${dateRange.to}`,
+      () => resumeChannelSales(fetched, dateRange, requestId, { breakdown, includeOrders }),
+      requestId
+    );
+  }
+
+  return response;
+}
+
+/**
+ * Compare a channel's sales for a date range against earlier baselines
+ * @param {string} channel - Sales channel from SALES_CHANNELS
+ * @param {Object} dateRange - Range from dateUtils
+ * @param {Array<string>} against - Baselines from COMPARISON_BASELINES
+ * @param {Object} options - { shop, requestId, productLimit, includeOrders } includeOrders adds the compared period's order rows
+ * @returns {Promise<Object>} Current summary plus, per baseline, its summary, deltas and product deltas
+ */
+export async function getChannelComparison(channel, dateRange, against, { shop = null, requestId = "unknown", productLimit = 10, includeOrders = false } = {}) {
+  const rangeDays = countRangeDays(dateRange);
+  const baselineRanges = against.map(baseline => shiftRange(dateRange, -getBaselineShiftDays(baseline, rangeDays)));
+
+  // The transport's cost bucket spaces these out when they share a shop
+  const [current, ...baselines] = await Promise.all(
+    [dateRange, ...baselineRanges].map(range => fetchChannelOrders(channel, range, { shop, requestId }))
+  );
+
+  const label = current.channelConfig.label;
+  const metricsOptions = await getMetricsOptions(current.shopType);
+  const currentMetrics = calculateSourceMetrics(current.orders, label, metricsOptions);
+  const currentProducts = calculateProductAnalysis(current.orders, { limit: Infinity, packSizes: metricsOptions.packSizes }).mostPopular;
+
+  const comparisons = {};
+  against.forEach((baseline, index) => {
+    const range = baselineRanges[index];
+    const baselineOrders = baselines[index].orders;
+    const baselineMetrics = calculateSourceMetrics(baselineOrders, label, metricsOptions);
+
+    comparisons[baseline] = {
+      dateRange: { from: range.from, to: range.to },
+      summary: baselineMetrics.summary,
+      categories: baselineMetrics.categories,
+      completeness: baselines[index].completeness,
+      deltas: compareSummaries(currentMetrics.summary, baselineMetrics.summary),
+      products: compareProducts(
+        currentProducts,
+        calculateProductAnalysis(baselineOrders, { limit: Infinity, packSizes: metricsOptions.packSizes }).mostPopular,
+        productLimit
+      ),
+    };
+  });
+
+  console.log(`✅ [${requestId}] ${label.toUpperCase()} ${dateRange.from} to ${dateRange.to} - Compared against ${against.join(', ')}`);
+
+  return {
+    source: label,
+    dateRange: {
+      from: dateRange.from,
+      to: dateRange.to,
+      timeZone: dateRange.timeZone,
+      lastUpdated: new Date().toISOString(),
+    },
+    summary: currentMetrics.summary,
+    categories: currentMetrics.categories,
+    comparisons,
+    ...(includeOrders ? { orders: listOrderRows(current.orders) } : {}),
+    completeness: mergeCompleteness([current, ...baselines].map(result => result.completeness)),
+    meta: sumMeta([current, ...baselines].map(result => result.meta))
+  };
+}
+
+/**
+ * Calculate a channel's sales per location (POS store, vending machine).
+ * Each location gets its summary, top products and a trend: hourly for a
+ * one-day range, daily otherwise. Orders without a location (online orders)
+ * are grouped under locationId null.
+ * @param {string} channel - Sales channel from SALES_CHANNELS
+ * @param {Object} dateRange - Range from dateUtils
+ * @param {Object} options - { shop, requestId, productLimit, includeOrders } includeOrders adds one row per order
+ * @returns {Promise<Object>} Channel summary plus metrics per location, by sales descending
+ */
+export async function getChannelSalesByLocation(channel, dateRange, { shop = null, requestId = "unknown", productLimit = 5, includeOrders = false } = {}) {
+  const { channelConfig, shopType, orders, meta, completeness } = await fetchChannelOrders(channel, dateRange, { shop, requestId });
+  const metricsOptions = await getMetricsOptions(shopType);
+  const shopLocations = await getShopLocations(shopType);
+  const trendBy = countRangeDays(dateRange) === 1 ? "hour" : "day";
+
+  const byLocation = new Map();
+  orders.forEach(order => {
+    const location = getOrderLocation(order);
+    const key = location?.id || null;
+    if (!byLocation.has(key)) byLocation.set(key, { location, orders: [] });
+    byLocation.get(key).orders.push(order);
+  });
+
+  const locations = Array.from(byLocation.entries())
+    .map(([locationId, { location, orders: locationOrders }]) => {
+      const details = locationId ? shopLocations.get(locationId) : null;
+      const metrics = calculateSourceMetrics(locationOrders, details?.name || location?.name || "No location", metricsOptions);
+
+      return {
+        locationId,
+        name: metrics.source,
+        address: details?.address || null,
+        isActive: details?.isActive ?? null,
+        summary: metrics.summary,
+        categories: metrics.categories,
+        topProducts: metrics.productAnalysis.mostPopular.slice(0, productLimit),
+        trend: calculateTimeBreakdown(locationOrders, trendBy, dateRange, { weekStartsOn: config.sales.weekStartsOn }),
+      };
+    })
+    .sort((a, b) => b.summary.totalSales - a.summary.totalSales);
+
+  const total = calculateSourceMetrics(orders, channelConfig.label, metricsOptions);
+
+  console.log(`✅ [${requestId}] ${channelConfig.label.toUpperCase()} BY LOCATION ${dateRange.from} to ${dateRange.to} - Complete: ${locations.length} locations, ${total.summary.totalSales.toFixed(2)} ${total.summary.currencyCode || "GEL"}`);
+
+  return {
+    source: channelConfig.label,
+    dateRange: {
+      from: dateRange.from,
+      to: dateRange.to,
+      timeZone: dateRange.timeZone,
+      lastUpdated: new Date().toISOString(),
+    },
+    summary: total.summary,
+    categories: total.categories,
+    locations,
+    ...(includeOrders ? { orders: listOrderRows(orders) } : {}),
+    completeness,
+    meta
+  };
+}
+
+/**
+ * Fetch a shop's orders for a date range and calculate sales metrics per order
+ * source, sales channel or app. Every value found gets its own group, nothing is
+ * folded into fixed online/POS buckets.
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @param {Object} dateRange - Range from dateUtils
+ * @param {Object} options - { requestId, groupBy, includeOrders } groupBy is one of SOURCE_GROUPINGS, includeOrders adds one row per order
+ * @returns {Promise<Object>} Shop-wide summary plus metrics per group, by sales descending
+ */
+export async function getSalesBySource(shopType, dateRange, { requestId = "unknown", groupBy = "source", includeOrders = false } = {}) {
+  const { orders, meta, completeness } = await processOrdersForStore(shopType, dateRange, requestId);
+  const metricsOptions = await getMetricsOptions(shopType);
+  const mapper = await getChannelMapper(shopType);
+
+  const groups = Array.from(groupOrdersBySource(orders, groupBy).entries())
+    .map(([key, groupOrders]) => ({ key, ...calculateSourceMetrics(groupOrders, key, metricsOptions) }))
+    .sort((a, b) => b.summary.totalSales - a.summary.totalSales);
+  const total = calculateSourceMetrics(orders, shopType, metricsOptions);
+
+  console.log(`✅ [${requestId}] ${shopType.toUpperCase()} BY ${groupBy.toUpperCase()} ${dateRange.from} to ${dateRange.to} - Complete: ${groups.length} groups, ${total.summary.totalSales.toFixed(2)} ${total.summary.currencyCode || "GEL"} (${total.summary.totalOrders} orders)`);
+
+  return {
+    shopType,
+    groupBy,
+    dateRange: {
+      from: dateRange.from,
+      to: dateRange.to,
+      timeZone: dateRange.timeZone,
+      lastUpdated: new Date().toISOString(),
+    },
+    summary: total.summary,
+    categories: total.categories,
+    channels: calculateChannelBreakdown(orders, mapper),
+    groups,
+    ...(includeOrders ? { orders: listOrderRows(orders) } : {}),
+    completeness,
+    meta
+  };
+}
+
+/**
+ * Fetch a period's sales for every shop in SHOP_CONFIGS and add them up.
+ * Each shop's period is counted in its own timezone. Shop types that share a
+ * store (ecommerce and brandstores) are reported separately, but the grand
+ * total counts every order once, keyed by shop domain and order GID.
+ * dateRange spans the fetched shops' local periods (null when none was fetched).
+ * @param {string} period - One of PERIODS
+ * @param {Object} options - { requestId, concurrency, includeOrders } includeOrders adds one row per order (each counted once)
+ * @returns {Promise<Object>} Per-shop breakdown plus the grand total and dateRange
+ */
+export async function getAllShopsSales(period, { requestId = "unknown", concurrency = config.sales.allShopsConcurrency, includeOrders = false } = {}) {
+  const results = await mapWithConcurrency(getAvailableShops(), concurrency, async (shopType) => {
+    const shopConfig = getShopConfig(shopType);
+    if (!shopConfig.shop || !shopConfig.accessToken) {
+      return { shopType, skipped: "Shop is not configured" };
+    }
+
+    try {
+      const timeZone = await getShopTimezone(shopType);
+      const range = getPeriodRange(period, timeZone, { weekStartsOn: config.sales.weekStartsOn });
+      const { orders, meta, completeness } = await processOrdersForStore(shopType, range, requestId);
+      const mapper = await getChannelMapper(shopType);
+      const metricsOptions = await getMetricsOptions(shopType);
+      return { shopType, shop: shopConfig.shop, range, orders, meta, completeness, mapper, metricsOptions };
+    } catch (error) {
+      console.error(`❌ [${requestId}] ${shopType.toUpperCase()} - Failed:`, error.message);
+      return { shopType, shop: shopConfig.shop, error: error.message };
+    }
+  });
+
+  const shops = {};
+  const uniqueOrders = new Map();
+  const orderRows = [];
+  const grandTotalCategories = [];
+  let fetchedOrders = 0;
+
+  results.forEach(({ shopType, shop, range, orders, meta, completeness, mapper, metricsOptions, skipped, error }) => {
+    if (skipped || error) {
+      shops[shopType] = skipped ? { skipped } : { shop, error };
+      return;
+    }
+
+    const metrics = calculateSourceMetrics(orders, shopType, metricsOptions);
+    shops[shopType] = {
+      shop,
+      dateRange: { from: range.from, to: range.to, timeZone: range.timeZone },
+      summary: metrics.summary,
+      categories: metrics.categories,
+      channels: calculateChannelBreakdown(orders, mapper),
+      completeness,
+      meta,
+    };
+
+    // Orders of a store shared with an earlier shop type are already in the
+    // grand total, categorized by that shop type's rules
+    const newOrders = orders.filter(order => !uniqueOrders.has(`${shop}:${order.id}`));
+    grandTotalCategories.push(calculateCategoryBreakdown(newOrders, metricsOptions.classifier));
+
+    fetchedOrders += orders.length;
+    orders.forEach(order => {
+      const key = `${shop}:${order.id}`;
+      if (includeOrders && !uniqueOrders.has(key)) orderRows.push(...listOrderRows([order], { shop: shopType }));
+      uniqueOrders.set(key, order);
+    });
+  });
+
+  const fetched = results.filter(result => result.orders);
+  if (fetched.length === 0 && results.some(result => result.error)) {
+    throw new Error(`No shop could be fetched: ${results.filter(result => result.error).map(result => `${result.shopType} (${result.error})`).join(", ")}`);
+  }
+
+  // Each shop's period is counted in its own timezone, so the combined range spans them all
+  const dateRange = fetched.length > 0 ? {
+    from: fetched.map(result => result.range.from).sort()[0],
+    to: fetched.map(result => result.range.to).sort().pop(),
+  } : null;
+
+  const allOrders = Array.from(uniqueOrders.values());
+  const currencies = [...new Set(allOrders.map(order => order.totalPriceSet?.shopMoney?.currencyCode).filter(Boolean))];
+  // Pack sizes are shared by every shop; product rules are not, so the grand
+  // total's categories add up what each shop's own rules found
+  const grandTotal = calculateSourceMetrics(allOrders, "All Shops", { packSizes: await getPackSizeResolver() }).summary;
+
+  console.log(`✅ [${requestId}] ALL SHOPS ${period} - Complete: ${grandTotal.totalSales.toFixed(2)} ${grandTotal.currencyCode || "GEL"} (${grandTotal.totalOrders} orders, ${fetchedOrders - allOrders.length} shared orders counted once)`);
+
+  return {
+    period,
+    dateRange,
+    lastUpdated: new Date().toISOString(),
+    shops,
+    grandTotal: {
+      ...grandTotal,
+      duplicateOrdersExcluded: fetchedOrders - allOrders.length,
+      currencies,
+      categories: sumCategories(grandTotalCategories),
+    },
+    ...(includeOrders ? { orders: orderRows } : {}),
+    completeness: mergeCompleteness(fetched.map(result => result.completeness)),
+    meta: sumMeta(fetched.map(result => result.meta)),
+  };
+}
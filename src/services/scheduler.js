@@ -0,0 +1,253 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/environment.js';
+import { getAvailableShops, getShopConfig } from '../config/shopConfigs.js';
+import { parseCron, matchesCron } from '../utils/cron.js';
+import { getShopTimezone } from './shopTimezone.js';
+import { syncAllShops } from './syncService.js';
+import { getAllShopsSales } from './salesService.js';
+import { recordRecentSnapshots } from './snapshotService.js';
+import { saveYesterdayMetrics } from './metricsService.js';
+
+// In-process scheduler for the jobs that used to be run by hand:
+// - yesterday-snapshot:<shop>  what `node get-metrics.js all` saved, per store in its own timezone,
+//                              plus versioned channel snapshots of recent days (with storage enabled).
+//                              Shop types reading the same orders (same store and store channel) get one job.
+// - incremental-sync           `node sync.js all`
+// - weekly-rollup              last week's /sales/all numbers, saved to ./data
+// The clock ticks once a minute; a job still running when it is due again is skipped.
+
+// Failures kept per job for GET /jobs
+const MAX_JOB_ERRORS = 10;
+const jobs = new Map();
+
+let timer = null;
+let startedAt = null;
+let lastTickMinute = null;
+
+// Helper function to add a job, or leave it out when its cron is "off"
+function registerJob(name, { description, cron, timeZone, run }) {
+  if (!cron || cron === 'off') {
+    console.log(`⏸️  Scheduled job ${name} is off`);
+    return;
+  }
+
+  jobs.set(name, {
+    name,
+    description,
+    schedule: parseCron(cron),
+    timeZone,
+    run,
+    running: false,
+    runs: 0,
+    failures: 0,
+    skippedRuns: 0,
+    lastRun: null,
+    errors: [],
+  });
+}
+
+// Helper function to run a job once and record how it went
+async function runJob(job, now) {
+  const requestId = `job-${job.name}-${now.toISOString()}`;
+
+  if (job.running) {
+    job.skippedRuns++;
+    console.warn(`⚠️  [${requestId}] Skipped, the previous run is still going`);
+    return;
+  }
+
+  job.running = true;
+  const started = new Date();
+  console.log(`⏰ [${requestId}] Running scheduled job: ${job.description}`);
+
+  try {
+    const result = await job.run(requestId);
+    job.lastRun = {
+      status: "succeeded",
+      startedAt: started.toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - started.getTime(),
+      result,
+    };
+    console.log(`✅ [${requestId}] Scheduled job finished in ${job.lastRun.durationMs}ms`);
+  } catch (error) {
+    job.failures++;
+    job.lastRun = {
+      status: "failed",
+      startedAt: started.toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - started.getTime(),
+      error: error.message,
+    };
+    job.errors = [{ at: job.lastRun.finishedAt, message: error.message }, ...job.errors].slice(0, MAX_JOB_ERRORS);
+    console.error(`❌ [${requestId}] Scheduled job failed:`, error.message);
+  } finally {
+    job.runs++;
+    job.running = false;
+  }
+}
+
+// Helper function to start every job due in the current minute
+function tick() {
+  // Round to the minute so a timer firing a little early or late still counts once
+  const minute = Math.round(Date.now() / 60000) * 60000;
+  if (minute === lastTickMinute) return;
+  lastTickMinute = minute;
+
+  const now = new Date(minute);
+  jobs.forEach(job => {
+    if (matchesCron(job.schedule, now, job.timeZone)) {
+      runJob(job, now);
+    }
+  });
+}
+
+// Helper function to wait for the start of the next minute
+function scheduleNextTick() {
+  timer = setTimeout(() => {
+    tick();
+    scheduleNextTick();
+  }, 60000 - (Date.now() % 60000));
+}
+
+// Helper function for the yesterday snapshot of one shop
+function snapshotJob(shopType) {
+  return async (requestId) => {
+    const { metrics, file } = await saveYesterdayMetrics(shopType, { requestId });
+    const snapshots = config.storage.enabled ? await recordRecentSnapshots(shopType, { requestId }) : [];
+
+    const failed = snapshots.filter(snapshot => snapshot.error);
+    if (failed.length > 0) {
+      throw new Error(`Snapshots failed for ${failed.map(snapshot => `${snapshot.channel} ${snapshot.date} (${snapshot.error})`).join(", ")}`);
+    }
+
+    return {
+      date: metrics.dateRange.from,
+      totalSales: metrics.totalSales,
+      orders: metrics.totalOrders,
+      file,
+      snapshotsRecorded: snapshots.filter(snapshot => snapshot.recorded).length,
+      restated: snapshots.filter(snapshot => snapshot.restated).map(snapshot => `${snapshot.channel} ${snapshot.date} v${snapshot.version}`),
+    };
+  };
+}
+
+// Helper function for the incremental sync of every shop
+async function syncJob(requestId) {
+  const results = await syncAllShops({ requestId });
+  const failed = Object.entries(results).filter(([, result]) => result.error);
+  if (failed.length > 0) {
+    throw new Error(`Sync failed for ${failed.map(([shopType, result]) => `${shopType} (${result.error})`).join(", ")}`);
+  }
+
+  return Object.fromEntries(Object.entries(results).map(([shopType, result]) => [
+    shopType,
+    { ordersSynced: result.ordersSynced, watermark: result.watermark },
+  ]));
+}
+
+// Helper function for the weekly rollup of all shops
+async function rollupJob(requestId) {
+  const sales = await getAllShopsSales('last-week', { requestId });
+  if (!sales.dateRange) {
+    throw new Error("No shop is configured for the weekly rollup");
+  }
+  // The week of the shops' own timezones, which the numbers were counted in
+  const { from, to } = sales.dateRange;
+
+  const file = path.join('./data', `weekly-rollup-${from}.json`);
+  await fs.mkdir('./data', { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ from, to, ...sales }, null, 2));
+
+  return {
+    from,
+    to,
+    totalSales: sales.grandTotal.totalSales,
+    orders: sales.grandTotal.totalOrders,
+    file: `./${file}`,
+  };
+}
+
+/**
+ * Register the scheduled jobs and start the clock.
+ * Shop timezones are looked up once here, so the snapshot of each shop runs at
+ * its own local time.
+ * @returns {Promise<Array>} Names of the registered jobs
+ */
+export async function startScheduler() {
+  if (timer) return [...jobs.keys()];
+
+  const { snapshotCron, syncCron, rollupCron, timeZone } = config.scheduler;
+  const snapshotShops = new Set();
+
+  for (const shopType of getAvailableShops()) {
+    const shopConfig = getShopConfig(shopType);
+    // Shop types sharing a store differ by their store channel (brandstores: Point of Sale)
+    const snapshotKey = `${shopConfig.shop}|${shopConfig.channel || ''}`;
+    if (!shopConfig.shop || !shopConfig.accessToken || snapshotShops.has(snapshotKey)) continue;
+    snapshotShops.add(snapshotKey);
+
+    registerJob(`yesterday-snapshot:${shopType}`, {
+      description: `Yesterday's metrics of ${shopType}`,
+      cron: snapshotCron,
+      timeZone: await getShopTimezone(shopType),
+      run: snapshotJob(shopType),
+    });
+  }
+
+  if (config.storage.enabled) {
+    registerJob('incremental-sync', {
+      description: "Incremental order sync of all shops",
+      cron: syncCron,
+      timeZone,
+      run: syncJob,
+    });
+  } else {
+    console.log('⏸️  Scheduled job incremental-sync is off (STORAGE_ENABLED=false)');
+  }
+
+  registerJob('weekly-rollup', {
+    description: "Last week's sales of all shops",
+    cron: rollupCron,
+    timeZone,
+    run: rollupJob,
+  });
+
+  startedAt = new Date().toISOString();
+  scheduleNextTick();
+
+  return [...jobs.keys()];
+}
+
+/**
+ * Stop the clock; runs already going are left to finish
+ */
+export function stopScheduler() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+/**
+ * Get the scheduler and job status for GET /jobs
+ * @returns {Object} { enabled, running, startedAt, jobs } where each job has its schedule, last run and recent errors
+ */
+export function getSchedulerStatus() {
+  return {
+    enabled: config.scheduler.enabled,
+    running: Boolean(timer),
+    startedAt,
+    jobs: [...jobs.values()].map(job => ({
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule.expression,
+      timeZone: job.timeZone,
+      running: job.running,
+      runs: job.runs,
+      failures: job.failures,
+      skippedRuns: job.skippedRuns,
+      lastRun: job.lastRun,
+      errors: job.errors,
+    })),
+  };
+}
@@ -0,0 +1,58 @@
+import { config } from '../config/environment.js';
+import { getShopConfig } from '../config/shopConfigs.js';
+import { isValidTimezone } from '../utils/dateUtils.js';
+import { shopifyGraphQL } from './graphqlTransport.js';
+
+// Timezone lookups per shop domain. The promise is cached so concurrent
+// requests for the same shop share one `shop { ianaTimezone }` query.
+const timezoneCache = new Map();
+
+const SHOP_TIMEZONE_QUERY = `
+  query {
+    shop {
+      ianaTimezone
+    }
+  }
+`;
+
+/**
+ * Resolve the IANA timezone a shop reports in.
+ * Order: the shop's configured timezone (SHOPIFY_<SHOP>_TIMEZONE), then
+ * `shop { ianaTimezone }` from Shopify, then config.sales.defaultTimezone.
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @param {Object} options - { endpoint } overriding the Admin GraphQL URL
+ * @returns {Promise<string>} IANA timezone, e.g. "Asia/Tbilisi"
+ */
+export async function getShopTimezone(shopType, { endpoint } = {}) {
+  const shopConfig = getShopConfig(shopType);
+
+  if (shopConfig.timezone) {
+    if (isValidTimezone(shopConfig.timezone)) return shopConfig.timezone;
+    console.warn(`⚠️  Ignoring invalid timezone "${shopConfig.timezone}" configured for ${shopType}`);
+  }
+
+  if (!shopConfig.shop || !shopConfig.accessToken) {
+    return config.sales.defaultTimezone;
+  }
+
+  if (!timezoneCache.has(shopConfig.shop)) {
+    const lookup = shopifyGraphQL(shopConfig, SHOP_TIMEZONE_QUERY, {}, { endpoint })
+      .then(({ data }) => {
+        const timeZone = data?.shop?.ianaTimezone;
+        if (!isValidTimezone(timeZone)) {
+          throw new Error(`Shop reported an unknown timezone: ${timeZone}`);
+        }
+        return timeZone;
+      })
+      .catch(error => {
+        // Don't keep the failure, the next request asks Shopify again
+        timezoneCache.delete(shopConfig.shop);
+        console.warn(`⚠️  Could not get the timezone of ${shopConfig.shop}, using ${config.sales.defaultTimezone}:`, error.message);
+        return config.sales.defaultTimezone;
+      });
+
+    timezoneCache.set(shopConfig.shop, lookup);
+  }
+
+  return timezoneCache.get(shopConfig.shop);
+}
@@ -1,11 +1,21 @@
-import fetch from 'node-fetch';
 import { getShopConfig, getAvailableShops, logShopConfigurations } from '../config/shopConfigs.js';
 import { config } from '../config/environment.js';
 import { buildQueryParts } from '../utils/queryBuilder.js';
 import { calculateDetailedMetrics } from '../utils/metricsCalculator.js';
+import { getYesterdayRange } from '../utils/dateUtils.js';
+import { ORDER_METRICS_FIELDS, ORDERS_PAGE_QUERY, ORDER_BY_ID_QUERY, PRODUCT_BY_ID_QUERY } from '../utils/queries.js';
+import { persistOrders } from './storage/index.js';
+import { exportOrdersBulk } from './bulkExporter.js';
+import { shopifyGraphQL } from './graphqlTransport.js';
+import { getShopTimezone } from './shopTimezone.js';
+import { getProductClassifier } from './productClassifier.js';
+import { getPackSizeResolver } from './packSizes.js';
+import { completeOrderLineItems } from './lineItemPager.js';
+import { buildCompleteness } from '../utils/completeness.js';
 
 class ShopifyClient {
-  constructor(shopType = "ecommerce") {
+  // options.endpoint overrides the Admin GraphQL URL (e.g. a local fake in tests)
+  constructor(shopType = "ecommerce", options = {}) {
     this.shopType = shopType;
     this.shopConfig = getShopConfig(shopType);
     this.apiVersion = config.apiVersion;
@@ -14,7 +24,8 @@ class ShopifyClient {
       throw new Error(`Missing required environment variables for shop type: ${shopType}`);
     }
     
-    this.baseUrl = `https://${this.shopConfig.shop}/admin/api/${this.apiVersion}/graphql.json`;
+    this.baseUrl = options.endpoint || `https://${this.shopConfig.shop}/admin/api/${this.apiVersion}/graphql.json`;
+    this.stats = { requests: 0, retries: 0, waitedMs: 0 };
   }
 
   // Helper function to build query parts with source code filtering
@@ -23,36 +34,29 @@ class ShopifyClient {
   }
 
   async query(query, variables = {}) {
-    try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': this.shopConfig.accessToken,
-        },
-        body: JSON.stringify({
-          query,
-          variables,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      if (data.errors) {
-        throw new Error(`GraphQL errors: ${JSON.stringify(data.errors, null, 2)}`);
-      }
+    return (await this.queryWithMeta(query, variables)).data;
+  }
 
-      return data.data;
+  // Same as query() but also returns the transport metadata (attempts, retries, cost)
+  async queryWithMeta(query, variables = {}) {
+    try {
+      const result = await shopifyGraphQL(this.shopConfig, query, variables, { endpoint: this.baseUrl });
+      this.recordStats(result.meta);
+      return result;
     } catch (error) {
-      console.error('Error executing GraphQL query:', error);
+      if (error.meta) this.recordStats(error.meta);
+      console.error('Error executing GraphQL query:', error.message);
       throw error;
     }
   }
 
+  // Totals over every request made by this client, reported in responses as `meta`
+  recordStats(meta) {
+    this.stats.requests += meta.attempts;
+    this.stats.retries += meta.retries;
+    this.stats.waitedMs += meta.waitedMs;
+  }
+
   // Helper method to get shop information
   async getShopInfo() {
     const query = `
@@ -63,7 +67,7 @@ class ShopifyClient {
           email
           domain
           currencyCode
-          timezone
+          ianaTimezone
           plan {
             displayName
           }
@@ -219,17 +223,40 @@ class ShopifyClient {
     return await this.query(query, { first, after });
   }
 
+  // Fetch one page of orders for a search query (e.g. "updated_at:>=2025-01-01")
+  // Orders with more than 50 line items get the rest fetched before returning
+  async fetchOrdersPage(queryString, { cursor = null, sortKey = "CREATED_AT", first = 100, requestId = "unknown" } = {}) {
+    const response = await this.query(ORDERS_PAGE_QUERY, { cursor, q: queryString, sortKey, first });
+    await completeOrderLineItems(this, response.orders.nodes, requestId);
+    return response.orders;
+  }
+
+  // Fetch one order by GID with every line item (null when it doesn't exist)
+  async fetchOrderById(id, { requestId = "unknown" } = {}) {
+    const { order } = await this.query(ORDER_BY_ID_QUERY, { id });
+    if (order) {
+      await completeOrderLineItems(this, [order], requestId);
+    }
+    return order;
+  }
+
+  // Fetch one product by GID with its variants (null when it doesn't exist)
+  async fetchProductById(id) {
+    const { product } = await this.query(PRODUCT_BY_ID_QUERY, { id });
+    return product;
+  }
+
+  // Export every order matching a search query through a bulk operation,
+  // much cheaper than paging for long ranges (see bulkExporter.js)
+  async fetchOrdersBulk(queryString, options = {}) {
+    return await exportOrdersBulk(this, queryString, options);
+  }
+
   // Fetch yesterday's data for a specific shop with detailed metrics
   async fetchYesterdayData(requestId = "unknown") {
-    // Set date range to yesterday
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(0, 0, 0, 0);
-    const endDate = new Date(yesterday);
-    endDate.setHours(23, 59, 59, 999);
-
-    const startISO = yesterday.toISOString();
-    const endISO = endDate.toISOString();
+    // Set date range to yesterday in the shop's timezone
+    const timeZone = await getShopTimezone(this.shopType, { endpoint: this.baseUrl });
+    const { startISO, endISO } = getYesterdayRange(timeZone);
 
     const qParts = this.buildQueryParts(startISO, endISO, this.shopType);
     const orderQueryString = qParts.join(" ");
@@ -239,41 +266,7 @@ class ShopifyClient {
         orders(first: 100, after: $cursor, query: $q, sortKey: CREATED_AT) {
           pageInfo { hasNextPage endCursor }
           nodes {
-            id
-            name
-            createdAt
-            displayFinancialStatus
-            totalPriceSet { shopMoney { amount currencyCode } }
-            currentTotalPriceSet { shopMoney { amount currencyCode } }
-            totalRefundedSet { shopMoney { amount currencyCode } }
-            subtotalPriceSet { shopMoney { amount currencyCode } }
-            totalDiscountsSet { shopMoney { amount currencyCode } }
-            totalTaxSet { shopMoney { amount currencyCode } }
-            totalShippingPriceSet { shopMoney { amount currencyCode } }
-            lineItems(first: 50) {
-              nodes {
-                quantity
-                title
-                variantTitle
-                originalUnitPriceSet { shopMoney { amount currencyCode } }
-                discountedUnitPriceSet { shopMoney { amount currencyCode } }
-                variant {
-                  id
-                  title
-                  sku
-                  inventoryItem {
-                    unitCost { amount }
-                  }
-                  product {
-                    id
-                    title
-                    description
-                    handle
-                    productType
-                  }
-                }
-              }
-            }
+            ${ORDER_METRICS_FIELDS}
           }
         }
       }
@@ -286,14 +279,15 @@ class ShopifyClient {
     const maxIterations = 100;
 
     do {
-      iterations++;
-      if (iterations > maxIterations) {
-        console.warn(`[${requestId}] Maximum iterations reached for ${this.shopType}`);
+      if (iterations >= maxIterations) {
+        console.warn(`[${requestId}] Maximum iterations reached for ${this.shopType}, data is truncated`);
         break;
       }
+      iterations++;
 
       const response = await this.query(GQL, { cursor, q: orderQueryString });
       const orders = response.orders.nodes;
+      await completeOrderLineItems(this, orders, requestId);
       allOrders = allOrders.concat(orders);
 
       cursor = response.orders.pageInfo.hasNextPage
@@ -301,19 +295,25 @@ class ShopifyClient {
         : null;
     } while (cursor);
 
+    await persistOrders(this.shopType, allOrders, requestId);
+
     // Calculate detailed metrics
-    const metrics = this.calculateDetailedMetrics(allOrders, startISO, endISO);
+    const classifier = await getProductClassifier(this.shopType);
+    const packSizes = await getPackSizeResolver();
+    const metrics = this.calculateDetailedMetrics(allOrders, startISO, endISO, { timeZone, classifier, packSizes });
     
     return {
       shopType: this.shopType,
       shop: this.shopConfig.shop,
-      ...metrics
+      ...metrics,
+      completeness: buildCompleteness({ pagesFetched: iterations, truncated: Boolean(cursor), lastCursor: cursor, orders: allOrders }),
+      meta: { ...this.stats }
     };
   }
 
   // Calculate detailed metrics from orders
-  calculateDetailedMetrics(orders, startISO, endISO) {
-    return calculateDetailedMetrics(orders, startISO, endISO);
+  calculateDetailedMetrics(orders, startISO, endISO, options = {}) {
+    return calculateDetailedMetrics(orders, startISO, endISO, options);
   }
 
   // Get available shop types
@@ -0,0 +1,147 @@
+import { config } from '../config/environment.js';
+import { getShopConfig } from '../config/shopConfigs.js';
+import { SALES_CHANNELS, getSalesChannel } from '../config/salesChannels.js';
+import { getYesterdayRange, shiftRange, validateDateRange } from '../utils/dateUtils.js';
+import { isPartial } from '../utils/completeness.js';
+import { compareSummaries } from '../utils/comparison.js';
+import { getStorage } from './storage/index.js';
+import { getShopTimezone } from './shopTimezone.js';
+import { getChannelSales, resolveChannelShop } from './salesService.js';
+
+// Versioned daily metric snapshots: the `summary` of a channel's sales for one
+// day (order basis), stored per shop, channel and date. Recomputing a day whose
+// numbers changed (a late refund, an edited order) adds the next version, so
+// what was reported at the time stays next to what the day adds up to now.
+
+// Helper function to resolve the shop and timezone of a channel
+async function resolveSnapshotShop(channel, shopOverride) {
+  const channelConfig = getSalesChannel(channel);
+  if (!channelConfig) {
+    throw new Error(`Unknown sales channel: ${channel}`);
+  }
+
+  const shopType = resolveChannelShop(channelConfig, shopOverride);
+  return {
+    shopType,
+    shop: getShopConfig(shopType).shop,
+    timeZone: await getShopTimezone(shopType),
+  };
+}
+
+// Helper function to keep the fields of a delta that changed
+function changedFields(deltas) {
+  return Object.fromEntries(Object.entries(deltas).filter(([, delta]) => delta.change !== 0));
+}
+
+/**
+ * Compute a channel's summary for one day and store it as a new snapshot version
+ * when it differs from the latest one. Partial data (truncated, or orders
+ * missing line items) is never stored.
+ * @param {string} channel - Sales channel from SALES_CHANNELS
+ * @param {string} date - YYYY-MM-DD in the shop's timezone
+ * @param {Object} options - { shop, requestId } where shop overrides the channel's shop
+ * @returns {Promise<Object>} { channel, date, recorded, version, restated } or { recorded: false, reason }
+ */
+export async function recordDailySnapshot(channel, date, { shop = null, requestId = "unknown" } = {}) {
+  if (!config.storage.enabled) {
+    throw new Error('Storage is disabled (STORAGE_ENABLED=false), snapshots are not kept');
+  }
+
+  const snapshotShop = await resolveSnapshotShop(channel, shop);
+  const { valid, message, range } = validateDateRange(date, date, 1, snapshotShop.timeZone);
+  if (!valid) {
+    throw new Error(message);
+  }
+
+  const sales = await getChannelSales(channel, range, { shop, requestId, resume: false });
+  if (isPartial(sales.completeness)) {
+    console.warn(`⚠️  [${requestId}] ${channel} ${date} - Not snapshotted, the sales data is partial`);
+    return { channel, date, recorded: false, reason: "Sales data is partial" };
+  }
+
+  const storage = await getStorage();
+  const versions = await storage.getMetricSnapshots(snapshotShop.shop, channel, date);
+  const latest = versions[versions.length - 1];
+
+  if (latest && JSON.stringify(latest.summary) === JSON.stringify(sales.summary)) {
+    return { channel, date, recorded: false, version: latest.version, reason: "Unchanged" };
+  }
+
+  const snapshot = await storage.insertMetricSnapshot({
+    shop: snapshotShop.shop,
+    channel,
+    date,
+    version: (latest?.version || 0) + 1,
+    summary: sales.summary,
+    computedAt: new Date().toISOString(),
+  });
+
+  console.log(`📸 [${requestId}] ${channel} ${date} - Snapshot v${snapshot.version}${latest ? ` (restated from v${latest.version})` : ''}: ${sales.summary.totalSales.toFixed(2)} ${sales.summary.currencyCode || "GEL"}`);
+
+  return { channel, date, recorded: true, version: snapshot.version, restated: Boolean(latest) };
+}
+
+/**
+ * Snapshot yesterday and the config.snapshots.restateDays days before it for
+ * every sales channel reading from a shop, so late changes become new versions
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @param {Object} options - { requestId, restateDays }
+ * @returns {Promise<Array>} recordDailySnapshot results, with { channel, date, error } for failed days
+ */
+export async function recordRecentSnapshots(shopType, { requestId = "unknown", restateDays = config.snapshots.restateDays } = {}) {
+  const channels = Object.keys(SALES_CHANNELS).filter(channel => SALES_CHANNELS[channel].shop === shopType);
+  const yesterday = getYesterdayRange(await getShopTimezone(shopType));
+  const dates = Array.from({ length: restateDays + 1 }, (_, daysBack) => shiftRange(yesterday, -daysBack).from);
+
+  const results = [];
+  for (const channel of channels) {
+    for (const date of dates) {
+      try {
+        results.push(await recordDailySnapshot(channel, date, { requestId }));
+      } catch (error) {
+        console.error(`❌ [${requestId}] ${channel} ${date} - Snapshot failed:`, error.message);
+        results.push({ channel, date, error: error.message });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Get every snapshot version of a channel's day with the changes between them
+ * @param {string} channel - Sales channel from SALES_CHANNELS
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} options - { shop } overriding the channel's shop
+ * @returns {Promise<Object|null>} { channel, shop, date, restated, versions, restatement }, or null when the day has no snapshot
+ */
+export async function getSnapshotHistory(channel, date, { shop = null } = {}) {
+  const snapshotShop = await resolveSnapshotShop(channel, shop);
+  const storage = await getStorage();
+  const snapshots = await storage.getMetricSnapshots(snapshotShop.shop, channel, date);
+
+  if (snapshots.length === 0) return null;
+
+  const first = snapshots[0];
+  const latest = snapshots[snapshots.length - 1];
+
+  return {
+    channel,
+    shop: snapshotShop.shop,
+    date,
+    restated: snapshots.length > 1,
+    versions: snapshots.map((snapshot, index) => ({
+      version: snapshot.version,
+      computedAt: snapshot.computedAt,
+      summary: snapshot.summary,
+      // Fields that changed since the version before (null for the first one)
+      changes: index > 0 ? changedFields(compareSummaries(snapshot.summary, snapshots[index - 1].summary)) : null,
+    })),
+    // What the day adds up to now against what was first reported
+    restatement: {
+      firstReportedAt: first.computedAt,
+      latestVersion: latest.version,
+      changes: changedFields(compareSummaries(latest.summary, first.summary)),
+    },
+  };
+}
@@ -0,0 +1,90 @@
+import { config } from '../../config/environment.js';
+import { getShopConfig } from '../../config/shopConfigs.js';
+import JsonFileStorage from './jsonFileStorage.js';
+import SqliteStorage from './sqliteStorage.js';
+import PostgresStorage from './postgresStorage.js';
+
+let storagePromise = null;
+
+/**
+ * Create a storage adapter for a backend name
+ * @param {Object} storageConfig - Storage section of the environment config
+ * @returns {StorageAdapter} Uninitialized adapter
+ */
+export function createStorage(storageConfig = config.storage) {
+  switch (storageConfig.backend) {
+    case 'json':
+      return new JsonFileStorage(storageConfig.jsonDir);
+
+    case 'sqlite':
+      return new SqliteStorage(storageConfig.sqlitePath);
+
+    case 'postgres':
+    case 'supabase':
+      if (!storageConfig.databaseUrl) {
+        throw new Error(`DATABASE_URL is required for the ${storageConfig.backend} storage backend`);
+      }
+      return new PostgresStorage({
+        connectionString: storageConfig.databaseUrl,
+        ssl: storageConfig.databaseSsl,
+        sslCa: storageConfig.databaseSslCa,
+        allowUnverified: storageConfig.databaseSslAllowUnverified,
+      });
+
+    default:
+      throw new Error(`Unknown storage backend: ${storageConfig.backend}. Available backends: json, sqlite, postgres, supabase`);
+  }
+}
+
+/**
+ * Get the shared storage instance for the configured backend, opening it on first use
+ * @returns {Promise<StorageAdapter>} Initialized storage
+ */
+export function getStorage() {
+  if (!storagePromise) {
+    storagePromise = Promise.resolve().then(() => createStorage().init()).catch(error => {
+      storagePromise = null;
+      throw error;
+    });
+  }
+  return storagePromise;
+}
+
+// Close the shared storage (used by the CLI scripts before exiting)
+export async function closeStorage() {
+  if (!storagePromise) return;
+  const storage = await storagePromise;
+  storagePromise = null;
+  await storage.close();
+}
+
+// Shared wrapper for every pull path: a failing write is logged but never
+// fails the pull itself, the fetched data is still returned to the caller.
+// options.rethrow fails the caller instead (webhooks, which Shopify can resend).
+async function persist(kind, shopType, items, requestId, save, { rethrow = false } = {}) {
+  if (!config.storage.enabled || !items?.length) return null;
+
+  try {
+    const storage = await getStorage();
+    const shop = getShopConfig(shopType).shop;
+    const counts = await save(storage, shop);
+    console.log(`💾 [${requestId}] Stored ${items.length} ${kind} for ${shopType}`);
+    return counts;
+  } catch (error) {
+    console.error(`⚠️ [${requestId}] Failed to store ${kind} for ${shopType}:`, error.message);
+    if (rethrow) throw error;
+    return null;
+  }
+}
+
+export function persistOrders(shopType, orders, requestId = "unknown", options = {}) {
+  return persist('orders', shopType, orders, requestId, (storage, shop) => storage.saveOrders(shop, orders), options);
+}
+
+export function persistProducts(shopType, products, requestId = "unknown", options = {}) {
+  return persist('products', shopType, products, requestId, (storage, shop) => storage.saveProducts(shop, products), options);
+}
+
+export function persistCustomers(shopType, customers, requestId = "unknown", options = {}) {
+  return persist('customers', shopType, customers, requestId, (storage, shop) => storage.saveCustomers(shop, customers), options);
+}
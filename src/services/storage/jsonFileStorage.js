@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import path from 'path';
+import StorageAdapter from './storageAdapter.js';
+import { TABLES, PARTIAL_TABLES } from './schema.js';
+import { collectOrderRows, collectProductRows, countRows, createdAtBounds, toCustomerRecord, toStateRecord, toSnapshotRecord, fromSnapshotRecord } from './records.js';
+
+// JSON file storage, one pretty-printed file per table under ./data, matching
+// how the project stored its output before the database backends existed.
+// Fine for a single process and small volumes, use SQLite or Postgres beyond that.
+class JsonFileStorage extends StorageAdapter {
+  constructor(directory) {
+    super('json');
+    this.directory = directory;
+    this.tables = {};
+    this.queue = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    for (const table of Object.keys(TABLES)) {
+      try {
+        this.tables[table] = JSON.parse(await fs.readFile(this.filePath(table), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.tables[table] = {};
+      }
+    }
+
+    return this;
+  }
+
+  filePath(table) {
+    return path.join(this.directory, `${table}.json`);
+  }
+
+  // Merge rows keyed by id, like the SQL upserts: null values of PARTIAL_TABLES
+  // never overwrite stored data, rows of other tables replace the stored row
+  async writeRows(rows, replaceLineItemsFor = []) {
+    // Writes are serialized so concurrent pulls don't interleave file writes
+    const write = this.queue.then(async () => {
+      if (replaceLineItemsFor.length > 0) {
+        const orderIds = new Set(replaceLineItemsFor);
+        Object.entries(this.tables.line_items).forEach(([id, item]) => {
+          if (orderIds.has(item.order_id)) delete this.tables.line_items[id];
+        });
+      }
+
+      const changed = new Set(replaceLineItemsFor.length > 0 ? ['line_items'] : []);
+      Object.entries(rows).forEach(([table, tableRows]) => {
+        tableRows.forEach(row => {
+          if (!PARTIAL_TABLES.includes(table)) {
+            this.tables[table][row.id] = row;
+            return;
+          }
+
+          const existing = this.tables[table][row.id] || {};
+          const merged = { ...existing };
+          Object.entries(row).forEach(([column, value]) => {
+            if (value !== null && value !== undefined) merged[column] = value;
+          });
+          this.tables[table][row.id] = merged;
+        });
+        if (tableRows.length > 0) changed.add(table);
+      });
+
+      for (const table of changed) {
+        await fs.writeFile(this.filePath(table), JSON.stringify(this.tables[table], null, 2));
+      }
+    });
+
+    this.queue = write.catch(() => {});
+    await write;
+    return countRows(rows);
+  }
+
+  async saveOrders(shop, orders) {
+    const rows = collectOrderRows(orders, shop);
+    return this.writeRows(rows, rows.orders.map(order => order.id));
+  }
+
+  async saveProducts(shop, products) {
+    return this.writeRows(collectProductRows(products, shop));
+  }
+
+  async saveCustomers(shop, customers) {
+    return this.writeRows({ customers: customers.map(customer => toCustomerRecord(customer, shop)) });
+  }
+
+  async getOrders(shop, { from = null, to = null, includeCancelled = false } = {}) {
+    const bounds = createdAtBounds({ from, to });
+    return Object.values(this.tables.orders)
+      .filter(order => order.shop === shop)
+      .filter(order => !bounds.from || order.created_at >= bounds.from)
+      .filter(order => !bounds.before || order.created_at < bounds.before)
+      .filter(order => includeCancelled || !order.cancelled_at)
+      .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+      .map(order => JSON.parse(order.raw_json));
+  }
+
+  async insertMetricSnapshot(snapshot) {
+    const row = toSnapshotRecord(snapshot);
+
+    const write = this.queue.then(async () => {
+      if (this.tables.metric_snapshots[row.id]) {
+        throw new Error(`Metric snapshot ${row.id} already exists`);
+      }
+      this.tables.metric_snapshots[row.id] = row;
+      await fs.writeFile(this.filePath('metric_snapshots'), JSON.stringify(this.tables.metric_snapshots, null, 2));
+    });
+
+    this.queue = write.catch(() => {});
+    await write;
+    return fromSnapshotRecord(row);
+  }
+
+  async getMetricSnapshots(shop, channel, date) {
+    return Object.values(this.tables.metric_snapshots)
+      .filter(row => row.shop === shop && row.channel === channel && row.date === date)
+      .sort((a, b) => a.version - b.version)
+      .map(fromSnapshotRecord);
+  }
+
+  async getState(key) {
+    const row = this.tables.sync_state[key];
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async setState(key, value) {
+    await this.writeRows({ sync_state: [toStateRecord(key, value)] });
+  }
+
+  async deleteState(key) {
+    const write = this.queue.then(async () => {
+      delete this.tables.sync_state[key];
+      await fs.writeFile(this.filePath('sync_state'), JSON.stringify(this.tables.sync_state, null, 2));
+    });
+
+    this.queue = write.catch(() => {});
+    await write;
+  }
+}
+
+export default JsonFileStorage;
@@ -0,0 +1,151 @@
+import fs from 'fs';
+import pg from 'pg';
+import StorageAdapter from './storageAdapter.js';
+import { TABLES, INDEXES, createTableSql, upsertSql, insertSql } from './schema.js';
+import { collectOrderRows, collectProductRows, countRows, createdAtBounds, toCustomerRecord, toStateRecord, toSnapshotRecord, fromSnapshotRecord } from './records.js';
+
+// Helper function to build the pg ssl option. The server certificate is always
+// verified (against sslCa when given) unless allowUnverified opts out; an
+// sslmode in the connection string takes precedence over this option in pg.
+function buildSslOptions({ ssl, sslCa, allowUnverified }) {
+  if (!ssl) return false;
+  if (allowUnverified) return { rejectUnauthorized: false };
+  return sslCa
+    ? { rejectUnauthorized: true, ca: fs.readFileSync(sslCa, 'utf8') }
+    : { rejectUnauthorized: true };
+}
+
+// Postgres warehouse, works with any Postgres including a Supabase project
+// (use the Supabase connection string as DATABASE_URL with DATABASE_SSL=true)
+class PostgresStorage extends StorageAdapter {
+  constructor({ connectionString, ssl = false, sslCa = null, allowUnverified = false, pool = null } = {}) {
+    super('postgres');
+    this.pool = pool || new pg.Pool({
+      connectionString,
+      ssl: buildSslOptions({ ssl, sslCa, allowUnverified }),
+    });
+    this.upserts = {};
+  }
+
+  async init() {
+    for (const table of Object.keys(TABLES)) {
+      await this.pool.query(createTableSql(table));
+
+      // Columns added to TABLES after the table was created
+      for (const [column, type] of Object.entries(TABLES[table])) {
+        if (column === 'id') continue;
+        await this.pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+      }
+    }
+    for (const sql of INDEXES) {
+      await this.pool.query(sql);
+    }
+
+    Object.keys(TABLES).forEach(table => {
+      this.upserts[table] = upsertSql(table, index => `$${index}`);
+    });
+    this.snapshotInsert = insertSql('metric_snapshots', index => `$${index}`);
+
+    return this;
+  }
+
+  // Write grouped rows in one transaction
+  async writeRows(rows, replaceLineItemsFor = []) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Line items are replaced as a whole so edited-out lines disappear
+      if (replaceLineItemsFor.length > 0) {
+        await client.query('DELETE FROM line_items WHERE order_id = ANY($1)', [replaceLineItemsFor]);
+      }
+
+      for (const [table, tableRows] of Object.entries(rows)) {
+        const { sql, columns } = this.upserts[table];
+        for (const row of tableRows) {
+          await client.query(sql, columns.map(column => row[column] ?? null));
+        }
+      }
+
+      await client.query('COMMIT');
+      return countRows(rows);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async saveOrders(shop, orders) {
+    const rows = collectOrderRows(orders, shop);
+    return this.writeRows(rows, rows.orders.map(order => order.id));
+  }
+
+  async saveProducts(shop, products) {
+    return this.writeRows(collectProductRows(products, shop));
+  }
+
+  async saveCustomers(shop, customers) {
+    return this.writeRows({ customers: customers.map(customer => toCustomerRecord(customer, shop)) });
+  }
+
+  async getOrders(shop, { from = null, to = null, includeCancelled = false } = {}) {
+    const bounds = createdAtBounds({ from, to });
+    const conditions = ['shop = $1'];
+    const params = [shop];
+
+    if (bounds.from) {
+      params.push(bounds.from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (bounds.before) {
+      params.push(bounds.before);
+      conditions.push(`created_at < $${params.length}`);
+    }
+    if (!includeCancelled) {
+      conditions.push('cancelled_at IS NULL');
+    }
+
+    const result = await this.pool.query(
+      `SELECT raw_json FROM orders WHERE ${conditions.join(' AND ')} ORDER BY created_at`,
+      params
+    );
+    return result.rows.map(row => JSON.parse(row.raw_json));
+  }
+
+  async insertMetricSnapshot(snapshot) {
+    const row = toSnapshotRecord(snapshot);
+    const { sql, columns } = this.snapshotInsert;
+    await this.pool.query(sql, columns.map(column => row[column] ?? null));
+    return fromSnapshotRecord(row);
+  }
+
+  async getMetricSnapshots(shop, channel, date) {
+    const result = await this.pool.query(
+      'SELECT * FROM metric_snapshots WHERE shop = $1 AND channel = $2 AND date = $3 ORDER BY version',
+      [shop, channel, date]
+    );
+    return result.rows.map(fromSnapshotRecord);
+  }
+
+  async getState(key) {
+    const result = await this.pool.query('SELECT value FROM sync_state WHERE id = $1', [key]);
+    return result.rows.length > 0 ? JSON.parse(result.rows[0].value) : null;
+  }
+
+  async setState(key, value) {
+    await this.writeRows({ sync_state: [toStateRecord(key, value)] });
+  }
+
+  async deleteState(key) {
+    await this.pool.query('DELETE FROM sync_state WHERE id = $1', [key]);
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+export default PostgresStorage;
@@ -0,0 +1,265 @@
+// Map Shopify GraphQL nodes to warehouse rows
+// Handles both the `*Set { shopMoney }` money fields used by the metrics queries
+// and the older scalar fields (`totalPrice`, `price`) used by the CLI helpers.
+
+// Return the nodes of a connection regardless of nodes/edges style
+export function connectionNodes(connection) {
+  if (!connection) return [];
+  if (Array.isArray(connection)) return connection;
+  if (connection.nodes) return connection.nodes;
+  return (connection.edges || []).map(edge => edge.node);
+}
+
+function toNumber(value) {
+  return value === undefined || value === null ? null : parseFloat(value);
+}
+
+function money(set, fallback) {
+  return toNumber(set?.shopMoney?.amount ?? fallback);
+}
+
+/**
+ * Map a product node to a products row
+ * @param {Object} product - Shopify product node
+ * @param {string} shop - Shop domain
+ * @returns {Object} Row
+ */
+export function toProductRecord(product, shop) {
+  return {
+    id: product.id,
+    shop,
+    title: product.title ?? null,
+    handle: product.handle ?? null,
+    description: product.description ?? null,
+    product_type: product.productType ?? null,
+    vendor: product.vendor ?? null,
+    status: product.status ?? null,
+    tags: product.tags ? JSON.stringify(product.tags) : null,
+    created_at: product.createdAt ?? null,
+    updated_at: product.updatedAt ?? null,
+  };
+}
+
+/**
+ * Map a variant node to a variants row
+ * @param {Object} variant - Shopify variant node
+ * @param {string} productId - Parent product GID
+ * @param {string} shop - Shop domain
+ * @returns {Object} Row
+ */
+export function toVariantRecord(variant, productId, shop) {
+  return {
+    id: variant.id,
+    product_id: productId ?? null,
+    shop,
+    title: variant.title ?? null,
+    sku: variant.sku ?? null,
+    price: toNumber(variant.price),
+    unit_cost: toNumber(variant.inventoryItem?.unitCost?.amount),
+    inventory_quantity: variant.inventoryQuantity ?? null,
+  };
+}
+
+/**
+ * Map a customer node to a customers row
+ * @param {Object} customer - Shopify customer node
+ * @param {string} shop - Shop domain
+ * @returns {Object} Row
+ */
+export function toCustomerRecord(customer, shop) {
+  return {
+    id: customer.id,
+    shop,
+    email: customer.email ?? null,
+    first_name: customer.firstName ?? null,
+    last_name: customer.lastName ?? null,
+    phone: customer.phone ?? null,
+    orders_count: toNumber(customer.ordersCount),
+    total_spent: toNumber(customer.totalSpent),
+    created_at: customer.createdAt ?? null,
+    updated_at: customer.updatedAt ?? null,
+  };
+}
+
+/**
+ * Split an order node into normalized warehouse rows
+ * @param {Object} order - Shopify order node
+ * @param {string} shop - Shop domain
+ * @returns {Object} Rows for orders, line_items, refunds, products, variants and customers
+ */
+export function toOrderRecords(order, shop) {
+  const syncedAt = new Date().toISOString();
+  const records = {
+    order: {
+      id: order.id,
+      shop,
+      name: order.name ?? null,
+      email: order.email ?? order.customer?.email ?? null,
+      created_at: order.createdAt ?? null,
+      updated_at: order.updatedAt ?? null,
+      processed_at: order.processedAt ?? null,
+      cancelled_at: order.cancelledAt ?? null,
+      source_name: order.sourceName ?? null,
+      financial_status: order.displayFinancialStatus ?? order.financialStatus ?? null,
+      currency_code: order.totalPriceSet?.shopMoney?.currencyCode ?? order.currencyCode ?? null,
+      total_price: money(order.totalPriceSet, order.totalPrice),
+      current_total_price: money(order.currentTotalPriceSet),
+      subtotal_price: money(order.subtotalPriceSet, order.subtotalPrice),
+      current_subtotal_price: money(order.currentSubtotalPriceSet),
+      total_discounts: money(order.totalDiscountsSet),
+      total_tax: money(order.totalTaxSet, order.totalTax),
+      total_shipping: money(order.totalShippingPriceSet),
+      total_refunded: money(order.totalRefundedSet),
+      customer_id: order.customer?.id ?? null,
+      raw_json: JSON.stringify(order),
+      synced_at: syncedAt,
+    },
+    lineItems: [],
+    refunds: [],
+    products: [],
+    variants: [],
+    customer: order.customer?.id ? toCustomerRecord(order.customer, shop) : null,
+  };
+
+  connectionNodes(order.lineItems).forEach((item, index) => {
+    const variant = item.variant;
+    const product = variant?.product;
+
+    records.lineItems.push({
+      // Older queries don't select the line item id, fall back to its position
+      id: item.id || `${order.id}#${index}`,
+      order_id: order.id,
+      shop,
+      product_id: product?.id ?? null,
+      variant_id: variant?.id ?? null,
+      title: item.title ?? null,
+      variant_title: item.variantTitle ?? variant?.title ?? null,
+      sku: variant?.sku ?? item.sku ?? null,
+      quantity: item.quantity ?? 0,
+      current_quantity: item.currentQuantity ?? null,
+      original_unit_price: money(item.originalUnitPriceSet, item.originalPrice ?? item.price),
+      discounted_unit_price: money(item.discountedUnitPriceSet, item.discountedPrice),
+      unit_cost: toNumber(variant?.inventoryItem?.unitCost?.amount),
+    });
+
+    if (product?.id) {
+      records.products.push(toProductRecord(product, shop));
+    }
+    if (variant?.id) {
+      records.variants.push(toVariantRecord(variant, product?.id, shop));
+    }
+  });
+
+  connectionNodes(order.refunds).forEach(refund => {
+    records.refunds.push({
+      id: refund.id,
+      order_id: order.id,
+      shop,
+      created_at: refund.createdAt ?? null,
+      note: refund.note ?? null,
+      total_refunded: money(refund.totalRefundedSet, refund.totalRefunded),
+      currency_code: refund.totalRefundedSet?.shopMoney?.currencyCode ?? null,
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Collect the rows for a batch of orders, grouped by table
+ * @param {Array} orders - Shopify order nodes
+ * @param {string} shop - Shop domain
+ * @returns {Object} Rows keyed by table name
+ */
+export function collectOrderRows(orders, shop) {
+  const rows = { orders: [], line_items: [], refunds: [], products: [], variants: [], customers: [] };
+
+  orders.forEach(order => {
+    const records = toOrderRecords(order, shop);
+
+    rows.orders.push(records.order);
+    rows.line_items.push(...records.lineItems);
+    rows.refunds.push(...records.refunds);
+    rows.products.push(...records.products);
+    rows.variants.push(...records.variants);
+    if (records.customer) {
+      rows.customers.push(records.customer);
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Collect the rows for a batch of products and their variants
+ * @param {Array} products - Shopify product nodes
+ * @param {string} shop - Shop domain
+ * @returns {Object} Rows keyed by table name
+ */
+export function collectProductRows(products, shop) {
+  const rows = { products: [], variants: [] };
+
+  products.forEach(product => {
+    rows.products.push(toProductRecord(product, shop));
+    connectionNodes(product.variants).forEach(variant => {
+      rows.variants.push(toVariantRecord(variant, product.id, shop));
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Turn an inclusive created-at range into bounds that compare correctly as text.
+ * Shopify timestamps have whole seconds and no milliseconds ("…T23:59:59Z"),
+ * which sorts after "…T23:59:59.999Z", so the range is rounded to whole seconds
+ * and its end made exclusive: created_at >= from AND created_at < before.
+ * @param {Object} range - { from, to } ISO timestamps, either may be null
+ * @returns {Object} { from, before } ISO timestamps, null where the range is open
+ */
+export function createdAtBounds({ from = null, to = null } = {}) {
+  const second = 1000;
+  return {
+    from: from ? new Date(Math.ceil(Date.parse(from) / second) * second).toISOString() : null,
+    before: to ? new Date((Math.floor(Date.parse(to) / second) + 1) * second).toISOString() : null,
+  };
+}
+
+// Number of rows per table, returned by every save method
+export function countRows(rows) {
+  return Object.fromEntries(Object.entries(rows).map(([table, tableRows]) => [table, tableRows.length]));
+}
+
+// Map a job state value to a sync_state row
+export function toStateRecord(key, value) {
+  return {
+    id: key,
+    value: JSON.stringify(value),
+    updated_at: new Date().toISOString(),
+  };
+}
+
+// Map a daily metric snapshot to a metric_snapshots row
+export function toSnapshotRecord({ shop, channel, date, version, summary, computedAt }) {
+  return {
+    id: `${shop}:${channel}:${date}:v${version}`,
+    shop,
+    channel,
+    date,
+    version,
+    summary_json: JSON.stringify(summary),
+    computed_at: computedAt,
+  };
+}
+
+// Map a metric_snapshots row back to a snapshot
+export function fromSnapshotRecord(row) {
+  return {
+    shop: row.shop,
+    channel: row.channel,
+    date: row.date,
+    version: Number(row.version),
+    summary: JSON.parse(row.summary_json),
+    computedAt: row.computed_at,
+  };
+}
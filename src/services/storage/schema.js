@@ -0,0 +1,174 @@
+// Warehouse table definitions
+// Every table is keyed by the Shopify GID, so pulling the same data twice
+// updates rows in place instead of duplicating them.
+
+export const TABLES = {
+  orders: {
+    id: 'TEXT PRIMARY KEY',
+    shop: 'TEXT NOT NULL',
+    name: 'TEXT',
+    email: 'TEXT',
+    created_at: 'TEXT',
+    updated_at: 'TEXT',
+    processed_at: 'TEXT',
+    cancelled_at: 'TEXT',
+    source_name: 'TEXT',
+    financial_status: 'TEXT',
+    currency_code: 'TEXT',
+    total_price: 'NUMERIC',
+    current_total_price: 'NUMERIC',
+    subtotal_price: 'NUMERIC',
+    current_subtotal_price: 'NUMERIC',
+    total_discounts: 'NUMERIC',
+    total_tax: 'NUMERIC',
+    total_shipping: 'NUMERIC',
+    total_refunded: 'NUMERIC',
+    customer_id: 'TEXT',
+    raw_json: 'TEXT',
+    synced_at: 'TEXT',
+  },
+  line_items: {
+    id: 'TEXT PRIMARY KEY',
+    order_id: 'TEXT NOT NULL',
+    shop: 'TEXT NOT NULL',
+    product_id: 'TEXT',
+    variant_id: 'TEXT',
+    title: 'TEXT',
+    variant_title: 'TEXT',
+    sku: 'TEXT',
+    quantity: 'INTEGER',
+    current_quantity: 'INTEGER',
+    original_unit_price: 'NUMERIC',
+    discounted_unit_price: 'NUMERIC',
+    unit_cost: 'NUMERIC',
+  },
+  refunds: {
+    id: 'TEXT PRIMARY KEY',
+    order_id: 'TEXT NOT NULL',
+    shop: 'TEXT NOT NULL',
+    created_at: 'TEXT',
+    note: 'TEXT',
+    total_refunded: 'NUMERIC',
+    currency_code: 'TEXT',
+  },
+  products: {
+    id: 'TEXT PRIMARY KEY',
+    shop: 'TEXT NOT NULL',
+    title: 'TEXT',
+    handle: 'TEXT',
+    description: 'TEXT',
+    product_type: 'TEXT',
+    vendor: 'TEXT',
+    status: 'TEXT',
+    tags: 'TEXT',
+    created_at: 'TEXT',
+    updated_at: 'TEXT',
+  },
+  variants: {
+    id: 'TEXT PRIMARY KEY',
+    product_id: 'TEXT',
+    shop: 'TEXT NOT NULL',
+    title: 'TEXT',
+    sku: 'TEXT',
+    price: 'NUMERIC',
+    unit_cost: 'NUMERIC',
+    inventory_quantity: 'INTEGER',
+  },
+  customers: {
+    id: 'TEXT PRIMARY KEY',
+    shop: 'TEXT NOT NULL',
+    email: 'TEXT',
+    first_name: 'TEXT',
+    last_name: 'TEXT',
+    phone: 'TEXT',
+    orders_count: 'INTEGER',
+    total_spent: 'NUMERIC',
+    created_at: 'TEXT',
+    updated_at: 'TEXT',
+  },
+  // Daily metric summaries per shop, sales channel and date. Insert-only: a
+  // recomputation adds the next version, earlier versions are never changed.
+  metric_snapshots: {
+    id: 'TEXT PRIMARY KEY',
+    shop: 'TEXT NOT NULL',
+    channel: 'TEXT NOT NULL',
+    date: 'TEXT NOT NULL',
+    version: 'INTEGER NOT NULL',
+    summary_json: 'TEXT',
+    computed_at: 'TEXT',
+  },
+  // Job state such as sync watermarks and backfill checkpoints, value is JSON
+  sync_state: {
+    id: 'TEXT PRIMARY KEY',
+    value: 'TEXT',
+    updated_at: 'TEXT',
+  },
+};
+
+export const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_orders_shop_created ON orders (shop, created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_orders_shop_updated ON orders (shop, updated_at)',
+  'CREATE INDEX IF NOT EXISTS idx_line_items_order ON line_items (order_id)',
+  'CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds (order_id)',
+  'CREATE INDEX IF NOT EXISTS idx_variants_product ON variants (product_id)',
+  'CREATE INDEX IF NOT EXISTS idx_metric_snapshots_day ON metric_snapshots (shop, channel, date)',
+];
+
+/**
+ * Build the CREATE TABLE statement for a warehouse table
+ * @param {string} table - Table name from TABLES
+ * @returns {string} SQL statement
+ */
+export function createTableSql(table) {
+  const columns = Object.entries(TABLES[table])
+    .map(([column, type]) => `${column} ${type}`)
+    .join(', ');
+
+  return `CREATE TABLE IF NOT EXISTS ${table} (${columns})`;
+}
+
+/**
+ * Build a plain INSERT statement, for insert-only tables such as metric_snapshots.
+ * Inserting an existing id fails instead of updating the row.
+ * @param {string} table - Table name from TABLES
+ * @param {Function} placeholder - Returns the bind placeholder for a 1-based index
+ * @returns {{sql: string, columns: Array<string>}} Statement and column order
+ */
+export function insertSql(table, placeholder = () => '?') {
+  const columns = Object.keys(TABLES[table]);
+  const values = columns.map((_, index) => placeholder(index + 1)).join(', ');
+
+  return {
+    sql: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${values})`,
+    columns
+  };
+}
+
+// Tables also filled from partial records (a product, variant or customer seen
+// through an order), where a null keeps the stored value. Order rows always
+// come from the full order query, so their nulls are real (e.g. an uncancelled order).
+export const PARTIAL_TABLES = ['products', 'variants', 'customers'];
+
+/**
+ * Build an upsert statement keyed on the row id.
+ * In PARTIAL_TABLES null values never overwrite existing data, so a partial
+ * record doesn't wipe a full product pull; every other table takes the new row.
+ * @param {string} table - Table name from TABLES
+ * @param {Function} placeholder - Returns the bind placeholder for a 1-based index
+ * @returns {{sql: string, columns: Array<string>}} Statement and column order
+ */
+export function upsertSql(table, placeholder = () => '?') {
+  const columns = Object.keys(TABLES[table]);
+  const values = columns.map((_, index) => placeholder(index + 1)).join(', ');
+  const updates = columns
+    .filter(column => column !== 'id')
+    .map(column => PARTIAL_TABLES.includes(table)
+      ? `${column} = COALESCE(excluded.${column}, ${table}.${column})`
+      : `${column} = excluded.${column}`)
+    .join(', ');
+
+  return {
+    sql: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${values}) ON CONFLICT (id) DO UPDATE SET ${updates}`,
+    columns
+  };
+}
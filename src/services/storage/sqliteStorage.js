@@ -0,0 +1,141 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import StorageAdapter from './storageAdapter.js';
+import { TABLES, INDEXES, createTableSql, upsertSql, insertSql } from './schema.js';
+import { collectOrderRows, collectProductRows, countRows, createdAtBounds, toCustomerRecord, toStateRecord, toSnapshotRecord, fromSnapshotRecord } from './records.js';
+
+// Local SQLite warehouse for orders, line items, refunds, products, variants and customers
+class SqliteStorage extends StorageAdapter {
+  constructor(filename) {
+    super('sqlite');
+    this.filename = filename;
+    this.db = null;
+    this.statements = {};
+  }
+
+  async init() {
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+
+    Object.keys(TABLES).forEach(table => {
+      this.db.exec(createTableSql(table));
+      this.addMissingColumns(table);
+    });
+    INDEXES.forEach(sql => this.db.exec(sql));
+
+    Object.keys(TABLES).forEach(table => {
+      const { sql, columns } = upsertSql(table);
+      this.statements[table] = { statement: this.db.prepare(sql), columns };
+    });
+    this.statements.deleteLineItems = this.db.prepare('DELETE FROM line_items WHERE order_id = ?');
+
+    const snapshotInsert = insertSql('metric_snapshots');
+    this.statements.insertSnapshot = { statement: this.db.prepare(snapshotInsert.sql), columns: snapshotInsert.columns };
+
+    return this;
+  }
+
+  // Columns added to TABLES after a warehouse file was created
+  addMissingColumns(table) {
+    const existing = new Set(this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+
+    Object.entries(TABLES[table]).forEach(([column, type]) => {
+      if (!existing.has(column)) {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type.replace(' PRIMARY KEY', '')}`);
+      }
+    });
+  }
+
+  // Write grouped rows in one transaction
+  writeRows(rows, replaceLineItemsFor = []) {
+    const write = this.db.transaction(() => {
+      // Line items are replaced as a whole so edited-out lines disappear
+      replaceLineItemsFor.forEach(orderId => this.statements.deleteLineItems.run(orderId));
+
+      Object.entries(rows).forEach(([table, tableRows]) => {
+        const { statement, columns } = this.statements[table];
+        tableRows.forEach(row => statement.run(columns.map(column => row[column] ?? null)));
+      });
+    });
+
+    write();
+    return countRows(rows);
+  }
+
+  async saveOrders(shop, orders) {
+    const rows = collectOrderRows(orders, shop);
+    return this.writeRows(rows, rows.orders.map(order => order.id));
+  }
+
+  async saveProducts(shop, products) {
+    return this.writeRows(collectProductRows(products, shop));
+  }
+
+  async saveCustomers(shop, customers) {
+    return this.writeRows({ customers: customers.map(customer => toCustomerRecord(customer, shop)) });
+  }
+
+  async getOrders(shop, { from = null, to = null, includeCancelled = false } = {}) {
+    const bounds = createdAtBounds({ from, to });
+    const conditions = ['shop = ?'];
+    const params = [shop];
+
+    if (bounds.from) {
+      conditions.push('created_at >= ?');
+      params.push(bounds.from);
+    }
+    if (bounds.before) {
+      conditions.push('created_at < ?');
+      params.push(bounds.before);
+    }
+    if (!includeCancelled) {
+      conditions.push('cancelled_at IS NULL');
+    }
+
+    return this.db
+      .prepare(`SELECT raw_json FROM orders WHERE ${conditions.join(' AND ')} ORDER BY created_at`)
+      .all(params)
+      .map(row => JSON.parse(row.raw_json));
+  }
+
+  async insertMetricSnapshot(snapshot) {
+    const row = toSnapshotRecord(snapshot);
+    const { statement, columns } = this.statements.insertSnapshot;
+    statement.run(columns.map(column => row[column] ?? null));
+    return fromSnapshotRecord(row);
+  }
+
+  async getMetricSnapshots(shop, channel, date) {
+    return this.db
+      .prepare('SELECT * FROM metric_snapshots WHERE shop = ? AND channel = ? AND date = ? ORDER BY version')
+      .all(shop, channel, date)
+      .map(fromSnapshotRecord);
+  }
+
+  async getState(key) {
+    const row = this.db.prepare('SELECT value FROM sync_state WHERE id = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async setState(key, value) {
+    this.writeRows({ sync_state: [toStateRecord(key, value)] });
+  }
+
+  async deleteState(key) {
+    this.db.prepare('DELETE FROM sync_state WHERE id = ?').run(key);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SqliteStorage;
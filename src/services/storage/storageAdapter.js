@@ -0,0 +1,104 @@
+// Storage interface shared by every backend (JSON files, SQLite, Postgres/Supabase)
+// Backends extend this class and override each method; `shop` is always the
+// shop domain, so shop types that point at the same store share their data.
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Open connections and create tables/files, resolves to the adapter itself
+  async init() {
+    return this;
+  }
+
+  /**
+   * Upsert orders together with their line items, refunds, products, variants and customers
+   * @param {string} shop - Shop domain
+   * @param {Array} orders - Shopify order nodes
+   * @returns {Promise<Object>} Number of rows written per table
+   */
+  async saveOrders(shop, orders) {
+    throw new Error(`${this.name} storage does not implement saveOrders`);
+  }
+
+  /**
+   * Upsert products and their variants
+   * @param {string} shop - Shop domain
+   * @param {Array} products - Shopify product nodes
+   * @returns {Promise<Object>} Number of rows written per table
+   */
+  async saveProducts(shop, products) {
+    throw new Error(`${this.name} storage does not implement saveProducts`);
+  }
+
+  /**
+   * Upsert customers
+   * @param {string} shop - Shop domain
+   * @param {Array} customers - Shopify customer nodes
+   * @returns {Promise<Object>} Number of rows written
+   */
+  async saveCustomers(shop, customers) {
+    throw new Error(`${this.name} storage does not implement saveCustomers`);
+  }
+
+  /**
+   * Read stored orders back in the shape they were fetched in
+   * @param {string} shop - Shop domain
+   * @param {Object} options - { from, to, includeCancelled } created-at range filter
+   * @returns {Promise<Array>} Order nodes sorted by createdAt
+   */
+  async getOrders(shop, options = {}) {
+    throw new Error(`${this.name} storage does not implement getOrders`);
+  }
+
+  /**
+   * Insert a daily metric snapshot version; an existing version is never overwritten
+   * @param {Object} snapshot - { shop, channel, date, version, summary, computedAt }
+   * @returns {Promise<Object>} The stored snapshot
+   * @throws {Error} When that version already exists
+   */
+  async insertMetricSnapshot(snapshot) {
+    throw new Error(`${this.name} storage does not implement insertMetricSnapshot`);
+  }
+
+  /**
+   * Read every version of a day's metric snapshot
+   * @param {string} shop - Shop domain
+   * @param {string} channel - Sales channel
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Array>} Snapshots sorted by version, oldest first
+   */
+  async getMetricSnapshots(shop, channel, date) {
+    throw new Error(`${this.name} storage does not implement getMetricSnapshots`);
+  }
+
+  /**
+   * Read a job state value (sync watermark, backfill checkpoint, ...)
+   * @param {string} key - State key
+   * @returns {Promise<*>} Stored value, or null when unset
+   */
+  async getState(key) {
+    throw new Error(`${this.name} storage does not implement getState`);
+  }
+
+  /**
+   * Store a job state value
+   * @param {string} key - State key
+   * @param {*} value - JSON-serializable value
+   */
+  async setState(key, value) {
+    throw new Error(`${this.name} storage does not implement setState`);
+  }
+
+  /**
+   * Remove a job state value
+   * @param {string} key - State key
+   */
+  async deleteState(key) {
+    throw new Error(`${this.name} storage does not implement deleteState`);
+  }
+
+  async close() {}
+}
+
+export default StorageAdapter;
@@ -0,0 +1,93 @@
+import ShopifyClient from './shopifyClient.js';
+import { getStorage } from './storage/index.js';
+import { config } from '../config/environment.js';
+import { getShopConfig, getAvailableShops } from '../config/shopConfigs.js';
+
+// Storage key of a shop's updated_at watermark. Keyed by shop domain, so shop
+// types that point at the same store (ecommerce/brandstores) share one watermark.
+const watermarkKey = (shop) => `orders_updated_at:${shop}`;
+
+/**
+ * Incrementally sync orders changed since the shop's last watermark.
+ * Orders are fetched with `updated_at:>=watermark` sorted by UPDATED_AT and
+ * upserted page by page, so edits to older orders (refunds, cancellations)
+ * overwrite the stored copy and correct historical totals.
+ * @param {string} shopType - Shop type from SHOP_CONFIGS
+ * @param {Object} options - { requestId, since } where since overrides the stored watermark
+ * @returns {Promise<Object>} Sync result with the old and new watermark
+ */
+export async function syncOrders(shopType, { requestId = "unknown", since = null } = {}) {
+  if (!config.storage.enabled) {
+    throw new Error('Storage is disabled (STORAGE_ENABLED=false), nothing to sync into');
+  }
+
+  const client = new ShopifyClient(shopType);
+  const storage = await getStorage();
+  const shop = getShopConfig(shopType).shop;
+
+  const stored = await storage.getState(watermarkKey(shop));
+  const initial = new Date(Date.now() - config.sync.initialLookbackDays * 24 * 60 * 60 * 1000).toISOString();
+  const from = since || stored?.updatedAt || initial;
+
+  // Cancelled orders are included on purpose, the cancellation is a change to store
+  const queryString = [`updated_at:>=${from}`, "-test:true"].join(" ");
+
+  console.log(`\n🔄 [${requestId}] ${shopType.toUpperCase()} - Syncing orders updated since ${from}`);
+
+  let cursor = null;
+  let watermark = from;
+  let pages = 0;
+  let ordersSynced = 0;
+
+  do {
+    const connection = await client.fetchOrdersPage(queryString, { cursor, sortKey: "UPDATED_AT", requestId });
+    pages++;
+
+    if (connection.nodes.length > 0) {
+      await storage.saveOrders(shop, connection.nodes);
+      ordersSynced += connection.nodes.length;
+
+      // Pages are sorted by updated_at, so the last order is the newest change so far
+      watermark = connection.nodes[connection.nodes.length - 1].updatedAt || watermark;
+      await storage.setState(watermarkKey(shop), { updatedAt: watermark, shopType });
+    }
+
+    cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor);
+
+  console.log(`✅ [${requestId}] ${shopType.toUpperCase()} - Synced ${ordersSynced} orders in ${pages} pages, watermark ${watermark}`);
+
+  return {
+    shopType,
+    shop,
+    from,
+    watermark,
+    pages,
+    ordersSynced,
+  };
+}
+
+/**
+ * Sync every configured shop once, skipping shop types that share a store with one already synced
+ * @param {Object} options - { requestId, since } where since overrides every shop's stored watermark
+ * @returns {Promise<Object>} Results (or errors) keyed by shop type
+ */
+export async function syncAllShops({ requestId = "unknown", since = null } = {}) {
+  const results = {};
+  const syncedShops = new Set();
+
+  for (const shopType of getAvailableShops()) {
+    const shop = getShopConfig(shopType).shop;
+    if (!shop || syncedShops.has(shop)) continue;
+    syncedShops.add(shop);
+
+    try {
+      results[shopType] = await syncOrders(shopType, { requestId, since });
+    } catch (error) {
+      console.error(`❌ [${requestId}] Sync failed for ${shopType}:`, error.message);
+      results[shopType] = { error: error.message };
+    }
+  }
+
+  return results;
+}
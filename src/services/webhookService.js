@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import ShopifyClient from './shopifyClient.js';
+import { persistOrders, persistProducts } from './storage/index.js';
+
+// Shopify webhooks: signature check and the storage update of each topic.
+// Payloads are REST-shaped, so the order or product is fetched again through
+// GraphQL and stored in the same shape as every pull path stores it.
+
+export const WEBHOOK_TOPICS = ['orders/create', 'orders/updated', 'refunds/create', 'products/update'];
+
+// Webhook ids handled successfully; Shopify retries a delivery until it gets a 2xx
+const MAX_SEEN_WEBHOOKS = 1000;
+const seenWebhooks = new Set();
+
+/**
+ * Verify an X-Shopify-Hmac-Sha256 header
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} hmacHeader - Base64 HMAC-SHA256 of the body sent by Shopify
+ * @param {string} secret - The shop's webhook secret
+ * @returns {boolean} True when the signature matches
+ */
+export function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Check whether a webhook id was already handled
+ * @param {string} webhookId - X-Shopify-Webhook-Id
+ * @returns {boolean} True when the id was handled successfully before
+ */
+export function isDuplicateWebhook(webhookId) {
+  return Boolean(webhookId) && seenWebhooks.has(webhookId);
+}
+
+/**
+ * Remember a webhook id once it was handled, so a failed delivery stays retryable
+ * @param {string} webhookId - X-Shopify-Webhook-Id
+ */
+export function markWebhookHandled(webhookId) {
+  if (!webhookId) return;
+
+  seenWebhooks.add(webhookId);
+  if (seenWebhooks.size > MAX_SEEN_WEBHOOKS) {
+    seenWebhooks.delete(seenWebhooks.values().next().value);
+  }
+}
+
+// Helper function for the GID of the record a webhook payload is about
+function payloadGid(topic, payload) {
+  if (topic === 'refunds/create') {
+    return payload.order_id ? `gid://shopify/Order/${payload.order_id}` : null;
+  }
+  const type = topic.startsWith('products/') ? 'Product' : 'Order';
+  return payload.admin_graphql_api_id || (payload.id ? `gid://shopify/${type}/${payload.id}` : null);
+}
+
+/**
+ * Update storage for a verified webhook
+ * @param {string} shopType - Shop type the webhook came from
+ * @param {string} topic - One of WEBHOOK_TOPICS
+ * @param {Object} payload - Parsed webhook body
+ * @param {string} requestId - Request id for logs
+ * @returns {Promise<Object>} { topic, id, stored } where stored is false when the record no longer exists
+ * @throws When the record can't be fetched or stored, so the delivery can be retried
+ */
+export async function handleWebhook(shopType, topic, payload, requestId = "unknown") {
+  const id = payloadGid(topic, payload);
+  if (!id) {
+    throw new Error(`Webhook ${topic} has no record id`);
+  }
+
+  const client = new ShopifyClient(shopType);
+
+  if (topic === 'products/update') {
+    const product = await client.fetchProductById(id);
+    if (product) await persistProducts(shopType, [product], requestId, { rethrow: true });
+    console.log(`🔔 [${requestId}] ${shopType.toUpperCase()} ${topic} - ${id}${product ? '' : ' (not found)'}`);
+    return { topic, id, stored: Boolean(product) };
+  }
+
+  // orders/create, orders/updated and refunds/create all refresh the order
+  const order = await client.fetchOrderById(id, { requestId });
+  if (order) await persistOrders(shopType, [order], requestId, { rethrow: true });
+  console.log(`🔔 [${requestId}] ${shopType.toUpperCase()} ${topic} - ${order?.name || id}${order ? '' : ' (not found)'}`);
+  return { topic, id, stored: Boolean(order) };
+}
@@ -0,0 +1,90 @@
+// Time breakdown utilities for bucketing a range's orders by local time
+
+import { getZonedParts, formatDateInZone, listRangeDays } from './dateUtils.js';
+
+// Breakdowns accepted by ?breakdown=
+// - hour: hour of the day (0-23), added up over every day of the range
+// - day: each local calendar day of the range
+// - weekday: day of the week, added up over every week of the range
+export const BREAKDOWNS = ['hour', 'day', 'weekday'];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Helper function to build the empty buckets of a breakdown, keyed by bucket key
+function createBuckets(by, range, weekStartsOn) {
+  const buckets = new Map();
+  const empty = () => ({ sales: 0, orders: 0, units: 0 });
+
+  if (by === 'hour') {
+    for (let hour = 0; hour < 24; hour++) {
+      buckets.set(hour, { hour, label: `${String(hour).padStart(2, '0')}:00`, ...empty() });
+    }
+  } else if (by === 'day') {
+    listRangeDays(range).forEach(date => buckets.set(date, { date, ...empty() }));
+  } else {
+    for (let offset = 0; offset < 7; offset++) {
+      const weekday = (weekStartsOn + offset) % 7;
+      buckets.set(weekday, { weekday, label: WEEKDAY_NAMES[weekday], days: 0, ...empty() });
+    }
+    // How many of each weekday the range has, to turn totals into averages
+    listRangeDays(range).forEach(date => {
+      const [year, month, day] = date.split('-').map(Number);
+      buckets.get(new Date(Date.UTC(year, month - 1, day)).getUTCDay()).days += 1;
+    });
+  }
+
+  return buckets;
+}
+
+// Helper function for the bucket key of an instant
+function bucketKey(by, instant, timeZone) {
+  if (by === 'day') return formatDateInZone(instant, timeZone);
+  const parts = getZonedParts(instant, timeZone);
+  return by === 'hour' ? parts.hour : parts.weekday;
+}
+
+/**
+ * Bucket a range's orders by their createdAt in the shop's timezone.
+ * Sales follow the same basis as calculateSourceMetrics: current order totals, or
+ * on the transaction basis the placed totals with each refund (options.refunds)
+ * taken off in the bucket it was issued in, so the buckets add up to totalSales.
+ * @param {Array} orders - Orders placed in the range
+ * @param {string} by - One of BREAKDOWNS
+ * @param {Object} range - Range from dateUtils (from, to, timeZone)
+ * @param {Object} options - { weekStartsOn, basis, refunds }
+ * @returns {Object} { by, timeZone, buckets } each bucket with sales, orders, units and averageOrderValue
+ */
+export function calculateTimeBreakdown(orders, by, range, { weekStartsOn = 1, basis = 'order', refunds = [] } = {}) {
+  const { timeZone } = range;
+  const transactionBasis = basis === 'transaction';
+  const buckets = createBuckets(by, range, weekStartsOn);
+
+  orders.forEach(order => {
+    const bucket = buckets.get(bucketKey(by, order.createdAt, timeZone));
+    if (!bucket) return;
+
+    const total = transactionBasis ? order.totalPriceSet : order.currentTotalPriceSet;
+    bucket.sales += parseFloat(total?.shopMoney?.amount || "0");
+    bucket.orders += 1;
+    order.lineItems?.nodes?.forEach(item => {
+      bucket.units += item.quantity || 0;
+    });
+  });
+
+  if (transactionBasis) {
+    refunds.forEach(refund => {
+      const bucket = buckets.get(bucketKey(by, refund.createdAt, timeZone));
+      if (bucket) bucket.sales -= refund.amount;
+    });
+  }
+
+  return {
+    by,
+    timeZone,
+    buckets: Array.from(buckets.values()).map(bucket => ({
+      ...bucket,
+      sales: parseFloat(bucket.sales.toFixed(2)),
+      averageOrderValue: bucket.orders > 0 ? parseFloat((bucket.sales / bucket.orders).toFixed(2)) : 0,
+    })),
+  };
+}
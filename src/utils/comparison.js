@@ -0,0 +1,99 @@
+// Comparison utilities for putting two periods' metrics side by side
+
+// Baselines accepted by ?against= and how far back each one sits
+// - prev_period: the range right before, of the same length
+// - prev_week: same weekdays one week earlier
+// - prev_year: same weekdays 52 weeks earlier (364 days, so Mondays line up with Mondays)
+export const COMPARISON_BASELINES = ['prev_period', 'prev_week', 'prev_year'];
+
+/**
+ * Days to shift a range back for a comparison baseline
+ * @param {string} baseline - One of COMPARISON_BASELINES
+ * @param {number} rangeDays - Length of the compared range in days
+ * @returns {number|null} Days back, or null for an unknown baseline
+ */
+export function getBaselineShiftDays(baseline, rangeDays) {
+  switch (baseline) {
+    case 'prev_period':
+      return rangeDays;
+    case 'prev_week':
+      return 7;
+    case 'prev_year':
+      return 364;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compare one value with its baseline
+ * @param {number} current - Value in the compared period
+ * @param {number} previous - Value in the baseline period
+ * @returns {Object} { current, previous, change, changePercent } (changePercent is null when previous is 0)
+ */
+export function compareValues(current, previous) {
+  const change = (current || 0) - (previous || 0);
+
+  return {
+    current,
+    previous,
+    change: parseFloat(change.toFixed(2)),
+    changePercent: previous ? parseFloat(((change / Math.abs(previous)) * 100).toFixed(2)) : null,
+  };
+}
+
+/**
+ * Compare every numeric field of two summaries, e.g. from calculateSourceMetrics
+ * @param {Object} current - Summary of the compared period
+ * @param {Object} previous - Summary of the baseline period
+ * @returns {Object} Field name to compareValues() result
+ */
+export function compareSummaries(current, previous) {
+  const deltas = {};
+
+  Object.keys(current).forEach((field) => {
+    if (typeof current[field] === 'number') {
+      deltas[field] = compareValues(current[field], previous?.[field] ?? 0);
+    }
+  });
+
+  return deltas;
+}
+
+/**
+ * Compare products between two periods by quantity and sales
+ * @param {Array} current - Products from calculateProductAnalysis (all of them, limit Infinity)
+ * @param {Array} previous - Baseline products in the same shape
+ * @param {number} limit - Products per list
+ * @returns {Object} { gainers, losers } sorted by the change in total sales
+ */
+export function compareProducts(current, previous, limit = 10) {
+  const products = new Map();
+
+  current.forEach((product) => {
+    products.set(product.productId, { product, previous: null });
+  });
+  previous.forEach((product) => {
+    const existing = products.get(product.productId);
+    if (existing) {
+      existing.previous = product;
+    } else {
+      products.set(product.productId, { product, previous: product, missingNow: true });
+    }
+  });
+
+  const deltas = Array.from(products.values()).map(({ product, previous: before, missingNow }) => ({
+    productId: product.productId,
+    title: product.title,
+    sku: product.sku,
+    quantity: compareValues(missingNow ? 0 : product.quantity, before?.quantity ?? 0),
+    totalSales: compareValues(missingNow ? 0 : product.totalSales, before?.totalSales ?? 0),
+  }));
+
+  deltas.sort((a, b) => b.totalSales.change - a.totalSales.change);
+
+  return {
+    gainers: deltas.filter(p => p.totalSales.change > 0).slice(0, limit),
+    losers: deltas.filter(p => p.totalSales.change < 0).reverse().slice(0, limit),
+  };
+}
@@ -0,0 +1,56 @@
+// Completeness of fetched order data, reported by every sales response.
+// Data is partial when paging stopped at the page limit (truncated) or when
+// some orders' line items could not all be fetched (incompleteOrders).
+
+/**
+ * Summarize the orders flagged as having incomplete line items
+ * @param {Array} orders - Orders as returned by the fetch layer
+ * @returns {Array} { id, name, lineItemsFetched } for each incomplete order
+ */
+export function listIncompleteOrders(orders) {
+  return orders
+    .filter(order => order.lineItemsIncomplete)
+    .map(order => ({
+      id: order.id,
+      name: order.name,
+      lineItemsFetched: order.lineItems?.nodes?.length || 0,
+    }));
+}
+
+/**
+ * Build the completeness block of one paged fetch
+ * @param {Object} fetch - { pagesFetched, truncated, lastCursor, orders }
+ * @returns {Object} { pagesFetched, truncated, lastCursor, incompleteOrders }
+ */
+export function buildCompleteness({ pagesFetched, truncated, lastCursor, orders }) {
+  return {
+    pagesFetched,
+    truncated,
+    // Cursor to continue from when truncated
+    lastCursor: lastCursor || null,
+    incompleteOrders: listIncompleteOrders(orders),
+  };
+}
+
+/**
+ * Combine the completeness of several fetches (e.g. one per shop)
+ * @param {Array} blocks - Completeness blocks
+ * @returns {Object} Pages added up, truncated if any fetch was; lastCursor is per fetch so it's null here
+ */
+export function mergeCompleteness(blocks) {
+  return {
+    pagesFetched: blocks.reduce((sum, block) => sum + block.pagesFetched, 0),
+    truncated: blocks.some(block => block.truncated),
+    lastCursor: null,
+    incompleteOrders: blocks.flatMap(block => block.incompleteOrders),
+  };
+}
+
+/**
+ * Whether a completeness block describes partial data
+ * @param {Object} completeness - Completeness block
+ * @returns {boolean} True when truncated or some orders miss line items
+ */
+export function isPartial(completeness) {
+  return Boolean(completeness?.truncated || completeness?.incompleteOrders?.length);
+}
@@ -0,0 +1,89 @@
+import { getZonedParts } from './dateUtils.js';
+
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// matched against the wall clock of a timezone.
+// Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*/15, 0-30/10).
+// Day of week is 0-6 with 0 = Sunday (7 is also Sunday).
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+// Helper function to expand one cron field into the set of values it allows
+function parseField(value, { name, min, max }) {
+  const values = new Set();
+
+  value.split(',').forEach(part => {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in cron ${name} field "${value}"`);
+    }
+
+    let [from, to] = [min, max];
+    if (rangePart !== '*') {
+      const [start, end] = rangePart.split('-').map(Number);
+      from = start;
+      to = end ?? (stepPart === undefined ? start : max);
+    }
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron ${name} field "${value}" (allowed ${min}-${max})`);
+    }
+
+    for (let v = from; v <= to; v += step) values.add(v);
+  });
+
+  // Both 0 and 7 mean Sunday
+  if (name === 'dayOfWeek' && values.has(7)) values.add(0);
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. "0 6 * * *" or "*\/15 * * * *"
+ * @returns {Object} { expression, minute, hour, dayOfMonth, month, dayOfWeek } with Sets of allowed values
+ * @throws {Error} When the expression is not valid
+ */
+export function parseCron(expression) {
+  const fields = String(expression || "").trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have ${CRON_FIELDS.length} fields`);
+  }
+
+  const schedule = { expression: fields.join(' ') };
+  CRON_FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(fields[index], field);
+  });
+
+  // Standard cron: when both day fields are restricted, either one matching is enough
+  schedule.anyDay = fields[2] !== '*' && fields[4] !== '*';
+  return schedule;
+}
+
+/**
+ * Check whether a parsed schedule fires at the minute of an instant
+ * @param {Object} schedule - Result of parseCron
+ * @param {Date} date - Instant to check
+ * @param {string} timeZone - IANA timezone the expression is in
+ * @returns {boolean} True when the schedule fires in that minute
+ */
+export function matchesCron(schedule, date, timeZone) {
+  const { month, day, hour, minute, weekday } = getZonedParts(date, timeZone);
+
+  const dayOfMonthMatches = schedule.dayOfMonth.has(day);
+  const dayOfWeekMatches = schedule.dayOfWeek.has(weekday);
+  const dayMatches = schedule.anyDay
+    ? dayOfMonthMatches || dayOfWeekMatches
+    : dayOfMonthMatches && dayOfWeekMatches;
+
+  return schedule.minute.has(minute)
+    && schedule.hour.has(hour)
+    && schedule.month.has(month)
+    && dayMatches;
+}
@@ -1,54 +1,274 @@
 // Date utility functions for handling date ranges and formatting
 
+// Timezone of the server, used when no shop timezone is given
+export const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Named periods accepted by getPeriodRange (and the /sales/:channel/:period routes)
+export const PERIODS = ['today', 'yesterday', 'this-week', 'last-week', 'this-month', 'last-month'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatters = new Map();
+
+// Helper function to get a cached Intl formatter for a timezone
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
 /**
- * Get today's date range
- * @returns {Object} Object with startISO and endISO
+ * Check whether a string is an IANA timezone Intl understands
+ * @param {string} timeZone - e.g. "Asia/Tbilisi"
+ * @returns {boolean} True if valid
+ */
+export function isValidTimezone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday } (month 1-12, weekday 0 = Sunday)
+ */
+export function getZonedParts(date, timeZone = SERVER_TIMEZONE) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+// Helper function to get a timezone's UTC offset at an instant (ms, positive east of UTC)
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Get the instant of local midnight starting a calendar day in a timezone
+ * @param {Object} day - { year, month, day } (month 1-12, out-of-range days roll over)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Start of the day
+ */
+export function startOfZonedDay({ year, month, day }, timeZone = SERVER_TIMEZONE) {
+  const wallClock = Date.UTC(year, month - 1, day);
+  const offset = getOffsetMs(new Date(wallClock), timeZone);
+  const guess = wallClock - offset;
+
+  // The offset at midnight can differ from the one at the guess around DST changes
+  const actualOffset = getOffsetMs(new Date(guess), timeZone);
+  return new Date(wallClock - actualOffset);
+}
+
+/**
+ * Format an instant as the YYYY-MM-DD date it falls on in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Local date label
+ */
+export function formatDateInZone(date, timeZone = SERVER_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Helper function to shift a calendar day by whole days (calendar math in UTC, no DST)
+function addDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+/**
+ * Build the range from the start of one local day to the end of another
+ * @param {Object} firstDay - { year, month, day }
+ * @param {Object} lastDay - { year, month, day } (inclusive)
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} now - Clamp the end to this instant (for ranges that include today)
+ * @returns {Object} Range with startISO, endISO, startDate, endDate, from, to and timeZone
  */
-export function getTodayRange() {
-  const now = new Date();
-  const startDate = new Date();
-  startDate.setHours(0, 0, 0, 0); // Start of today
+export function getZonedDayRange(firstDay, lastDay, timeZone = SERVER_TIMEZONE, now = null) {
+  const startDate = startOfZonedDay(firstDay, timeZone);
+  let endDate = new Date(startOfZonedDay(addDays(lastDay, 1), timeZone).getTime() - 1);
+  if (now && now < endDate) endDate = now;
 
   return {
     startISO: startDate.toISOString(),
-    endISO: now.toISOString(),
+    endISO: endDate.toISOString(),
     startDate,
-    endDate: now
+    endDate,
+    from: formatDateInZone(startDate, timeZone),
+    to: formatDateInZone(endDate, timeZone),
+    timeZone
   };
 }
 
+/**
+ * Get today's date range
+ * @param {string} timeZone - IANA timezone the day is counted in (defaults to the server's)
+ * @param {Date} now - Current instant
+ * @returns {Object} Object with startISO and endISO
+ */
+export function getTodayRange(timeZone = SERVER_TIMEZONE, now = new Date()) {
+  const today = getZonedParts(now, timeZone);
+  return getZonedDayRange(today, today, timeZone, now);
+}
+
 /**
  * Get yesterday's date range
+ * @param {string} timeZone - IANA timezone the day is counted in (defaults to the server's)
+ * @param {Date} now - Current instant
  * @returns {Object} Object with startISO and endISO
  */
-export function getYesterdayRange() {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  yesterday.setHours(0, 0, 0, 0);
-  
-  const endDate = new Date(yesterday);
-  endDate.setHours(23, 59, 59, 999);
+export function getYesterdayRange(timeZone = SERVER_TIMEZONE, now = new Date()) {
+  const yesterday = addDays(getZonedParts(now, timeZone), -1);
+  return getZonedDayRange(yesterday, yesterday, timeZone);
+}
 
-  return {
-    startISO: yesterday.toISOString(),
-    endISO: endDate.toISOString(),
-    startDate: yesterday,
-    endDate: endDate
+/**
+ * Get a week's date range
+ * @param {string} timeZone - IANA timezone the week is counted in
+ * @param {number} weeksAgo - 0 for the current week (up to now), 1 for last week
+ * @param {Object} options - { weekStartsOn (0 = Sunday, 1 = Monday), now }
+ * @returns {Object} Object with startISO and endISO
+ */
+export function getWeekRange(timeZone = SERVER_TIMEZONE, weeksAgo = 0, { weekStartsOn = 1, now = new Date() } = {}) {
+  const today = getZonedParts(now, timeZone);
+  const daysIntoWeek = (today.weekday - weekStartsOn + 7) % 7;
+  const firstDay = addDays(today, -daysIntoWeek - weeksAgo * 7);
+  return getZonedDayRange(firstDay, addDays(firstDay, 6), timeZone, now);
+}
+
+/**
+ * Get a calendar month's date range
+ * @param {string} timeZone - IANA timezone the month is counted in
+ * @param {number} monthsAgo - 0 for the current month (up to now), 1 for last month
+ * @param {Object} options - { now }
+ * @returns {Object} Object with startISO and endISO
+ */
+export function getMonthRange(timeZone = SERVER_TIMEZONE, monthsAgo = 0, { now = new Date() } = {}) {
+  const today = getZonedParts(now, timeZone);
+  const firstDay = addDays({ year: today.year, month: today.month - monthsAgo, day: 1 }, 0);
+  const lastDay = addDays({ year: firstDay.year, month: firstDay.month + 1, day: 1 }, -1);
+  return getZonedDayRange(firstDay, lastDay, timeZone, now);
+}
+
+/**
+ * Get the date range of a named period (see PERIODS)
+ * @param {string} period - today, yesterday, this-week, last-week, this-month or last-month
+ * @param {string} timeZone - IANA timezone
+ * @param {Object} options - { weekStartsOn, now }
+ * @returns {Object|null} Range, or null for an unknown period
+ */
+export function getPeriodRange(period, timeZone = SERVER_TIMEZONE, { weekStartsOn = 1, now = new Date() } = {}) {
+  switch (period) {
+    case 'today':
+      return getTodayRange(timeZone, now);
+    case 'yesterday':
+      return getYesterdayRange(timeZone, now);
+    case 'this-week':
+      return getWeekRange(timeZone, 0, { weekStartsOn, now });
+    case 'last-week':
+      return getWeekRange(timeZone, 1, { weekStartsOn, now });
+    case 'this-month':
+      return getMonthRange(timeZone, 0, { now });
+    case 'last-month':
+      return getMonthRange(timeZone, 1, { now });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Shift a range by whole local days, keeping the time of day of its start and end.
+ * A partial "today" range shifted by 7 days ends at the same local time last week.
+ * @param {Object} range - Range from getZonedDayRange/getPeriodRange/validateDateRange
+ * @param {number} days - Days to shift (negative for the past)
+ * @returns {Object} Shifted range in the same timezone
+ */
+export function shiftRange(range, days) {
+  const { timeZone = SERVER_TIMEZONE } = range;
+
+  const shiftInstant = (instant) => {
+    const localDay = getZonedParts(instant, timeZone);
+    const intoDay = instant.getTime() - startOfZonedDay(localDay, timeZone).getTime();
+    const shiftedDay = addDays(localDay, days);
+    const dayStart = startOfZonedDay(shiftedDay, timeZone).getTime();
+    const dayEnd = startOfZonedDay(addDays(shiftedDay, 1), timeZone).getTime() - 1;
+    return new Date(Math.min(dayStart + intoDay, dayEnd));
   };
+
+  return getCustomRange(shiftInstant(range.startDate), shiftInstant(range.endDate), timeZone);
+}
+
+/**
+ * Count the local calendar days a range covers
+ * @param {Object} range - Range with from and to labels
+ * @returns {number} Days, inclusive
+ */
+export function countRangeDays(range) {
+  const [fromYear, fromMonth, fromDay] = range.from.split('-').map(Number);
+  const [toYear, toMonth, toDay] = range.to.split('-').map(Number);
+  return Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / DAY_MS) + 1;
+}
+
+/**
+ * List the local calendar days a range covers
+ * @param {Object} range - Range with from and to labels
+ * @returns {Array<string>} YYYY-MM-DD days, from first to last
+ */
+export function listRangeDays(range) {
+  const [year, month, day] = range.from.split('-').map(Number);
+  return Array.from({ length: countRangeDays(range) }, (_, index) => {
+    const d = addDays({ year, month, day }, index);
+    return `${d.year}-${String(d.month).padStart(2, '0')}-${String(d.day).padStart(2, '0')}`;
+  });
 }
 
 /**
  * Get custom date range
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
+ * @param {string} timeZone - IANA timezone used for the from/to labels
  * @returns {Object} Object with startISO and endISO
  */
-export function getCustomRange(startDate, endDate) {
+export function getCustomRange(startDate, endDate, timeZone = SERVER_TIMEZONE) {
   return {
     startISO: startDate.toISOString(),
     endISO: endDate.toISOString(),
     startDate,
-    endDate
+    endDate,
+    from: formatDateInZone(startDate, timeZone),
+    to: formatDateInZone(endDate, timeZone),
+    timeZone
   };
 }
 
@@ -73,3 +293,48 @@ export function isDateInRange(date, startDate, endDate) {
   const d = new Date(date);
   return d >= startDate && d <= endDate;
 }
+
+// Helper function to check a { year, month, day } doesn't roll over into another day
+function isCalendarDay(date) {
+  const normalized = addDays(date, 0);
+  return normalized.year === date.year && normalized.month === date.month && normalized.day === date.day;
+}
+
+/**
+ * Validate a YYYY-MM-DD from/to pair and build its date range
+ * @param {string} from - First day (inclusive)
+ * @param {string} to - Last day (inclusive)
+ * @param {number} maxDays - Longest allowed range in days
+ * @param {string} timeZone - IANA timezone the days are counted in
+ * @returns {Object} { valid, message } or { valid, range } with startISO and endISO
+ */
+export function validateDateRange(from, to, maxDays, timeZone = SERVER_TIMEZONE) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!from || !to) {
+    return { valid: false, message: 'Both from and to are required (YYYY-MM-DD)' };
+  }
+  if (!datePattern.test(from) || !datePattern.test(to)) {
+    return { valid: false, message: 'Dates must use the YYYY-MM-DD format' };
+  }
+
+  const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+  const [toYear, toMonth, toDay] = to.split('-').map(Number);
+  const firstDay = { year: fromYear, month: fromMonth, day: fromDay };
+  const lastDay = { year: toYear, month: toMonth, day: toDay };
+
+  // Reject dates that roll over, e.g. 2025-02-30, 2025-13-01 or 2025-00-05
+  if (!isCalendarDay(firstDay) || !isCalendarDay(lastDay)) {
+    return { valid: false, message: 'Dates must be real calendar days' };
+  }
+
+  const days = Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / DAY_MS) + 1;
+  if (days < 1) {
+    return { valid: false, message: 'from must be on or before to' };
+  }
+  if (days > maxDays) {
+    return { valid: false, message: `Date range is ${days} days, the maximum is ${maxDays} days` };
+  }
+
+  return { valid: true, range: getZonedDayRange(firstDay, lastDay, timeZone) };
+}
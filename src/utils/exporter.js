@@ -0,0 +1,179 @@
+import ExcelJS from 'exceljs';
+import { getOrderLocation } from './orderSources.js';
+import { calculateProductAnalysis } from './metricsCalculator.js';
+
+// CSV and XLSX exports of sales reports. A report is split into sections:
+// - Summary: every summary in the report (channel, groups, locations, shops, baselines), one row each
+// - Most popular / Least popular: the product lists of calculateProductAnalysis
+// - Orders: one row per order, when the report carries order rows (listOrderRows)
+// XLSX gets one sheet per section; CSV has no sheets, so sections follow each
+// other as titled blocks separated by an empty line.
+
+// Formats accepted by ?format= and --format
+export const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Helper function to flatten nested objects into dot-separated columns.
+// Arrays (capsule packs, missing cost items) don't fit a row and are left out.
+function flattenRow(value, prefix = "", row = {}) {
+  Object.entries(value || {}).forEach(([key, field]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(field)) return;
+    if (field && typeof field === 'object') {
+      flattenRow(field, column, row);
+    } else {
+      row[column] = field;
+    }
+  });
+  return row;
+}
+
+// Helper function to collect every summary of a report with the scope it belongs to
+function collectSummaries(report) {
+  const summaries = [];
+  const add = (scope, summary, dateRange = report.dateRange) => {
+    if (!summary) return;
+    summaries.push({ scope, from: dateRange?.from, to: dateRange?.to, ...flattenRow(summary) });
+  };
+
+  add(report.source || report.shopType || report.shop || "total", report.summary);
+  (report.groups || []).forEach(group => add(`${report.groupBy}: ${group.key}`, group.summary));
+  (report.locations || []).forEach(location => add(`location: ${location.name}`, location.summary));
+  Object.entries(report.shops || {}).forEach(([shopType, shop]) => add(`shop: ${shopType}`, shop.summary, shop.dateRange));
+  add("all shops", report.grandTotal, null);
+  Object.entries(report.comparisons || {}).forEach(([baseline, comparison]) => add(baseline, comparison.summary, comparison.dateRange));
+
+  return summaries;
+}
+
+// Helper function to collect the product lists of a report, key is mostPopular or leastPopular
+function collectProducts(report, key) {
+  const products = [];
+  const add = (scope, list) => (list || []).forEach(product => products.push({ scope, ...flattenRow(product) }));
+
+  add(report.source || report.shopType || report.shop || "total", report.productAnalysis?.[key]);
+  (report.groups || []).forEach(group => add(`${report.groupBy}: ${group.key}`, group.productAnalysis?.[key]));
+  if (key === 'mostPopular') {
+    (report.locations || []).forEach(location => add(`location: ${location.name}`, location.topProducts));
+  }
+
+  return products;
+}
+
+/**
+ * Map orders to flat export rows
+ * @param {Array} orders - Order nodes as fetched for the sales reports
+ * @param {Object} extra - Columns added to every row, e.g. { shop }
+ * @returns {Array} Rows with id, name, createdAt, status, source, location, totals and items
+ */
+export function listOrderRows(orders, extra = {}) {
+  return orders.map(order => ({
+    ...extra,
+    id: order.id,
+    name: order.name,
+    createdAt: order.createdAt,
+    cancelledAt: order.cancelledAt || null,
+    financialStatus: order.displayFinancialStatus || null,
+    sourceName: order.sourceName || null,
+    app: order.app?.name || null,
+    location: getOrderLocation(order)?.name || null,
+    currencyCode: order.totalPriceSet?.shopMoney?.currencyCode || null,
+    totalPrice: parseFloat(order.totalPriceSet?.shopMoney?.amount || "0"),
+    currentTotalPrice: parseFloat(order.currentTotalPriceSet?.shopMoney?.amount || "0"),
+    totalRefunded: parseFloat(order.totalRefundedSet?.shopMoney?.amount || "0"),
+    items: (order.lineItems?.nodes || []).reduce((sum, item) => sum + (item.quantity || 0), 0),
+  }));
+}
+
+/**
+ * Build an export report from detailed metrics (ShopifyClient.fetchYesterdayData), for the CLIs
+ * @param {Object} data - { shopType, summary, orders } from fetchYesterdayData
+ * @param {Object} options - { packSizes, includeOrders } packSizes from getPackSizeResolver
+ * @returns {Object} { source, dateRange, summary, productAnalysis, orders }
+ */
+export function buildDetailedReport(data, { packSizes = null, includeOrders = false } = {}) {
+  return {
+    source: data.shopType,
+    dateRange: data.summary.dateRange,
+    summary: data.summary,
+    productAnalysis: calculateProductAnalysis(data.orders || [], { packSizes }),
+    ...(includeOrders ? { orders: listOrderRows(data.orders || []) } : {}),
+  };
+}
+
+/**
+ * Split a report into export sections
+ * @param {Object} report - Sales response body, or { summary, productAnalysis, orders } from the CLIs
+ * @returns {Array} [{ name, rows }] for the sections that have rows
+ */
+export function buildExportSections(report) {
+  return [
+    { name: "Summary", rows: collectSummaries(report) },
+    { name: "Most popular", rows: collectProducts(report, 'mostPopular') },
+    { name: "Least popular", rows: collectProducts(report, 'leastPopular') },
+    { name: "Orders", rows: report.orders || [] },
+  ].filter(section => section.rows.length > 0);
+}
+
+// Helper function for the columns of a section, in order of first appearance
+function sectionColumns(rows) {
+  return [...new Set(rows.flatMap(row => Object.keys(row)))];
+}
+
+// Helper function to quote a CSV value when it needs it
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render export sections as CSV, one titled block per section
+ * @param {Array} sections - From buildExportSections
+ * @returns {string} CSV text
+ */
+export function toCsv(sections) {
+  return sections.map(({ name, rows }) => {
+    const columns = sectionColumns(rows);
+    return [
+      csvValue(name),
+      columns.map(csvValue).join(","),
+      ...rows.map(row => columns.map(column => csvValue(row[column])).join(",")),
+    ].join("\r\n");
+  }).join("\r\n\r\n") + "\r\n";
+}
+
+/**
+ * Render export sections as an XLSX workbook, one sheet per section
+ * @param {Array} sections - From buildExportSections
+ * @returns {Promise<Buffer>} Workbook file contents
+ */
+export async function toXlsx(sections) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  sections.forEach(({ name, rows }) => {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = sectionColumns(rows).map(column => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+    sheet.addRows(rows);
+    sheet.getRow(1).font = { bold: true };
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Render a report in an export format
+ * @param {Object} report - Sales response body, or { summary, productAnalysis, orders }
+ * @param {string} format - csv or xlsx
+ * @returns {Promise<Object>} { body, contentType, extension }
+ */
+export async function renderExport(report, format) {
+  const sections = buildExportSections(report);
+  const body = format === 'xlsx' ? await toXlsx(sections) : toCsv(sections);
+  return { body, contentType: CONTENT_TYPES[format], extension: format };
+}
@@ -1,12 +1,213 @@
+import { formatDateInZone, SERVER_TIMEZONE } from './dateUtils.js';
+
+// Helper function to read a MoneyBag amount (null when Shopify didn't send one)
+function moneyAmount(set) {
+  const amount = set?.shopMoney?.amount;
+  return amount === undefined || amount === null ? null : parseFloat(amount);
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// How sales responses book refunds:
+// - order: on the day the order was placed (current order totals, the default)
+// - transaction: on the day the refund was issued
+export const SALES_BASES = ['order', 'transaction'];
+
+// Helper function for the keyword capsule check used when no classifier is given
+function isCapsuleByKeyword(item) {
+  const productType = item.variant?.product?.productType?.toLowerCase() || "";
+  const title = (item.title || "").toLowerCase();
+
+  return productType.includes("capsule") ||
+    title.includes("capsule") ||
+    productType.includes("pod") ||
+    title.includes("pod");
+}
+
+// Helper function for the pack size of a line item without a resolver: the variant
+// metafield when the query selected it, otherwise 1 (see services/packSizes.js)
+function metafieldPackSize(item) {
+  const size = parseInt(item.variant?.packSize?.value, 10);
+  return Number.isInteger(size) && size > 0 ? size : 1;
+}
+
+// Helper function to add units of one pack size to a { packSize: quantity } map
+function addPacks(packs, packSize, quantity) {
+  packs.set(packSize, (packs.get(packSize) || 0) + quantity);
+}
+
+// Helper function for a line item's sales after line-level discounts
+function lineItemRevenue(item) {
+  const unitPrice = moneyAmount(item.discountedUnitPriceSet) ?? moneyAmount(item.originalUnitPriceSet) ?? 0;
+  return unitPrice * (item.quantity || 0);
+}
+
+/**
+ * Calculate units and revenue per product category
+ * @param {Array} orders - Array of order objects
+ * @param {Object} classifier - Classifier from getProductClassifier
+ * @returns {Object} Category to { units, revenue, orders }, including "unclassified"
+ */
+export function calculateCategoryBreakdown(orders, classifier) {
+  const categories = {};
+  [...classifier.categories, "unclassified"].forEach(category => {
+    categories[category] = { units: 0, revenue: 0, orders: 0 };
+  });
+
+  orders.forEach(order => {
+    const seen = new Set();
+
+    order.lineItems?.nodes?.forEach(item => {
+      const category = classifier.classify(item);
+      const entry = categories[category] || (categories[category] = { units: 0, revenue: 0, orders: 0 });
+
+      entry.units += item.quantity || 0;
+      entry.revenue += lineItemRevenue(item);
+      if (!seen.has(category)) {
+        entry.orders += 1;
+        seen.add(category);
+      }
+    });
+  });
+
+  Object.values(categories).forEach(entry => {
+    entry.revenue = round2(entry.revenue);
+  });
+
+  return categories;
+}
+
+/**
+ * Calculate orders, sales and units per reporting channel (current order totals)
+ * @param {Array} orders - Array of order objects
+ * @param {Object} mapper - Mapper from getChannelMapper
+ * @returns {Object} Channel to { orders, totalSales, totalItemsSold, sourceNames }, including "unmapped"
+ */
+export function calculateChannelBreakdown(orders, mapper) {
+  const channels = {};
+  const sourceNames = {};
+  const entryOf = (channel) => {
+    if (!channels[channel]) {
+      channels[channel] = { orders: 0, totalSales: 0, totalItemsSold: 0 };
+      sourceNames[channel] = new Set();
+    }
+    return channels[channel];
+  };
+  [...mapper.channels, "unmapped"].forEach(entryOf);
+
+  orders.forEach(order => {
+    const channel = mapper.channelOf(order);
+    const entry = entryOf(channel);
+
+    entry.orders += 1;
+    entry.totalSales += moneyAmount(order.currentTotalPriceSet) ?? 0;
+    order.lineItems?.nodes?.forEach(item => {
+      entry.totalItemsSold += item.quantity || 0;
+    });
+    sourceNames[channel].add(order.sourceName || "");
+  });
+
+  Object.entries(channels).forEach(([channel, entry]) => {
+    entry.totalSales = round2(entry.totalSales);
+    // Source names seen, so unmapped ones can be added to the mapping file
+    entry.sourceNames = [...sourceNames[channel]];
+  });
+
+  return channels;
+}
+
+/**
+ * List the line items no classification rule matched, grouped by variant
+ * @param {Array} orders - Array of order objects
+ * @param {Object} classifier - Classifier from getProductClassifier
+ * @returns {Array} Items with units, revenue and orders, by revenue descending
+ */
+export function listUnclassifiedItems(orders, classifier) {
+  const items = new Map();
+
+  orders.forEach(order => {
+    order.lineItems?.nodes?.forEach(item => {
+      if (classifier.classify(item) !== "unclassified") return;
+
+      const product = item.variant?.product;
+      const key = item.variant?.id || item.title;
+      const entry = items.get(key) || {
+        variantId: item.variant?.id || null,
+        productId: product?.id || null,
+        sku: item.variant?.sku || "",
+        title: item.variantTitle ? `${item.title} - ${item.variantTitle}` : item.title,
+        productType: product?.productType || "",
+        tags: product?.tags || [],
+        units: 0,
+        revenue: 0,
+        orders: 0,
+      };
+
+      entry.units += item.quantity || 0;
+      entry.revenue += lineItemRevenue(item);
+      entry.orders += 1;
+      items.set(key, entry);
+    });
+  });
+
+  return Array.from(items.values())
+    .map(item => ({ ...item, revenue: round2(item.revenue) }))
+    .sort((a, b) => b.revenue - a.revenue);
+}
+
+/**
+ * List the refunds issued within a date range, whatever day their order was placed
+ * @param {Array} orders - Orders with refunds (createdAt, totalRefundedSet, refundLineItems)
+ * @param {Date} startDate - Start of the range
+ * @param {Date} endDate - End of the range
+ * @returns {Array} { refundId, orderId, orderName, createdAt, amount, quantity, fromEarlierOrder }
+ */
+export function listRefundsInRange(orders, startDate, endDate) {
+  const refunds = [];
+
+  orders.forEach(order => {
+    (order.refunds || []).forEach(refund => {
+      const createdAt = new Date(refund.createdAt);
+      if (createdAt < startDate || createdAt > endDate) return;
+
+      refunds.push({
+        refundId: refund.id,
+        orderId: order.id,
+        orderName: order.name,
+        createdAt: refund.createdAt,
+        amount: moneyAmount(refund.totalRefundedSet) ?? 0,
+        quantity: (refund.refundLineItems?.nodes || []).reduce((sum, line) => sum + (line.quantity || 0), 0),
+        // Placed before the range, so its sale was booked on an earlier day
+        fromEarlierOrder: new Date(order.createdAt) < startDate,
+      });
+    });
+  });
+
+  return refunds.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
 /**
  * Calculate detailed metrics from orders
+ * - grossSales: line items at their original price × ordered quantity (before discounts)
+ * - netSales: current subtotal (after discounts and refunds, without tax and shipping)
+ * - totalCOGS: unit cost × quantity still on the order (currentQuantity, net of refunds)
+ * - grossProfit: netSales - totalCOGS
+ * Line items whose variant has no unit cost are left out of COGS and listed in missingCost.
+ * With a classifier (see productClassifier.js) capsules are the units in its capsule
+ * category and the summary gets units and revenue per category.
+ * totalCapsulesSold counts single capsules: units × pack size (see packSizes.js), with
+ * the units sold per pack size in capsulePacks.
  * @param {Array} orders - Array of order objects
  * @param {string} startISO - Start date in ISO format
  * @param {string} endISO - End date in ISO format
+ * @param {Object} options - { timeZone, classifier, packSizes } timeZone labels the range with the shop's local dates
  * @returns {Object} Calculated metrics
  */
-export function calculateDetailedMetrics(orders, startISO, endISO) {
+export function calculateDetailedMetrics(orders, startISO, endISO, { timeZone, classifier = null, packSizes = null } = {}) {
   let totalSales = 0;
+  let grossSales = 0;
+  let netSales = 0;
+  let totalCOGS = 0;
   let totalRefunded = 0;
   let totalDiscounts = 0;
   let totalTax = 0;
@@ -14,6 +215,9 @@ export function calculateDetailedMetrics(orders, startISO, endISO) {
   let totalUnitsSold = 0;
   let totalCapsulesSold = 0;
   let totalOrders = orders.length;
+  const missingCost = new Map();
+  const capsulePacks = new Map();
+  const packSizeOf = packSizes ? (item) => packSizes.packSizeOf(item) : metafieldPackSize;
 
   orders.forEach(order => {
     // Total Sales (current total price)
@@ -36,58 +240,206 @@ export function calculateDetailedMetrics(orders, startISO, endISO) {
     const shipping = parseFloat(order.totalShippingPriceSet?.shopMoney?.amount || "0");
     totalShipping += shipping;
 
-      // Process line items for units
-      if (order.lineItems?.nodes) {
-        order.lineItems.nodes.forEach(item => {
-          const quantity = item.quantity || 0;
-          
-          // Units sold
-          totalUnitsSold += quantity;
-          
-          // Capsules sold (assuming capsules are identified by product type or title)
-          const productType = item.variant?.product?.productType?.toLowerCase() || "";
-          const title = (item.title || "").toLowerCase();
-          
-          if (productType.includes("capsule") || 
-              title.includes("capsule") || 
-              productType.includes("pod") ||
-              title.includes("pod")) {
-            totalCapsulesSold += quantity;
-          }
-        });
+    // Net sales (older payloads without the current subtotal fall back to subtotal)
+    netSales += moneyAmount(order.currentSubtotalPriceSet) ?? moneyAmount(order.subtotalPriceSet) ?? 0;
+
+    const lineItems = order.lineItems?.nodes || [];
+
+    // Gross sales of an order without line items: subtotal plus its discounts
+    if (lineItems.length === 0) {
+      grossSales += (moneyAmount(order.subtotalPriceSet) ?? 0) + discounts;
+    }
+
+    // Process line items for units
+    lineItems.forEach(item => {
+      const quantity = item.quantity || 0;
+      const netQuantity = item.currentQuantity ?? quantity;
+
+      // Units sold
+      totalUnitsSold += quantity;
+
+      // Gross sales before discounts
+      grossSales += (moneyAmount(item.originalUnitPriceSet) ?? 0) * quantity;
+
+      // COGS from the variant's unit cost, for the units not refunded
+      const unitCostAmount = item.variant?.inventoryItem?.unitCost?.amount;
+      if (unitCostAmount !== undefined && unitCostAmount !== null) {
+        totalCOGS += parseFloat(unitCostAmount) * netQuantity;
+      } else if (netQuantity > 0) {
+        const key = item.variant?.id || item.title;
+        const unitPrice = moneyAmount(item.discountedUnitPriceSet) ?? moneyAmount(item.originalUnitPriceSet) ?? 0;
+        const entry = missingCost.get(key) || {
+          variantId: item.variant?.id || null,
+          sku: item.variant?.sku || "",
+          title: item.variantTitle ? `${item.title} - ${item.variantTitle}` : item.title,
+          units: 0,
+          revenue: 0,
+          orders: 0,
+        };
+        entry.units += netQuantity;
+        entry.revenue += unitPrice * netQuantity;
+        entry.orders += 1;
+        missingCost.set(key, entry);
       }
+
+      // Capsules sold (the classifier's capsule category, or a keyword match without rules)
+      const isCapsule = classifier
+        ? classifier.classify(item) === classifier.capsuleCategory
+        : isCapsuleByKeyword(item);
+
+      if (isCapsule) {
+        const packSize = packSizeOf(item);
+        totalCapsulesSold += quantity * packSize;
+        addPacks(capsulePacks, packSize, quantity);
+      }
+    });
   });
 
   // Calculate derived metrics
   const averageOrderValue = totalOrders > 0 ? totalSales / totalOrders : 0;
+  const grossProfit = netSales - totalCOGS;
+  const grossProfitMargin = netSales > 0 ? (grossProfit / netSales) * 100 : 0;
+
+  const missingCostItems = Array.from(missingCost.values())
+    .map(item => ({ ...item, revenue: round2(item.revenue) }))
+    .sort((a, b) => b.revenue - a.revenue);
 
   return {
     summary: {
-      totalSales: Math.round(totalSales * 100) / 100,
-      totalRefunded: Math.round(totalRefunded * 100) / 100,
-      totalDiscounts: Math.round(totalDiscounts * 100) / 100,
-      totalTax: Math.round(totalTax * 100) / 100,
-      totalShipping: Math.round(totalShipping * 100) / 100,
+      totalSales: round2(totalSales),
+      grossSales: round2(grossSales),
+      netSales: round2(netSales),
+      totalCOGS: round2(totalCOGS),
+      grossProfit: round2(grossProfit),
+      grossProfitMargin: round2(grossProfitMargin),
+      totalRefunded: round2(totalRefunded),
+      totalDiscounts: round2(totalDiscounts),
+      totalTax: round2(totalTax),
+      totalShipping: round2(totalShipping),
       totalOrders,
-      averageOrderValue: Math.round(averageOrderValue * 100) / 100,
+      averageOrderValue: round2(averageOrderValue),
       totalUnitsSold,
       totalCapsulesSold,
+      // Capsule units sold per pack size, e.g. [{ packSize: 10, packs: 3, capsules: 30 }]
+      capsulePacks: Array.from(capsulePacks.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([packSize, packs]) => ({ packSize, packs, capsules: packSize * packs })),
+      ...(classifier ? { categories: calculateCategoryBreakdown(orders, classifier) } : {}),
+      // Line items left out of COGS because their variant has no unit cost
+      missingCost: {
+        units: missingCostItems.reduce((sum, item) => sum + item.units, 0),
+        revenue: round2(missingCostItems.reduce((sum, item) => sum + item.revenue, 0)),
+        items: missingCostItems,
+      },
       dateRange: {
-        from: startISO.substring(0, 10),
-        to: endISO.substring(0, 10),
+        from: formatDateInZone(startISO, timeZone),
+        to: formatDateInZone(endISO, timeZone),
+        timeZone: timeZone || SERVER_TIMEZONE,
       },
     },
     orders: orders // Include raw orders for detailed analysis if needed
   };
 }
 
+/**
+ * Calculate sales metrics for one source/channel of orders.
+ * On the order basis sales are the orders' current totals, net of every refund
+ * they ever had. On the transaction basis sales are the totals the orders were
+ * placed at, minus the refunds issued in the range (options.refunds, from
+ * listRefundsInRange), including refunds of orders placed earlier.
+ * @param {Array} orders - Array of order objects
+ * @param {string} sourceName - Label of the source (e.g. "Ecom")
+ * @param {Object} options - { classifier, packSizes, basis, refunds } classifier adds units and revenue per product category
+ * @returns {Object} Source label, summary and product analysis
+ */
+export function calculateSourceMetrics(orders, sourceName, { classifier = null, packSizes = null, basis = 'order', refunds = [] } = {}) {
+  const transactionBasis = basis === 'transaction';
+  let currencyCode = null;
+  let totalSales = 0;
+  let totalRefunds = 0;
+  let totalOrders = orders.length;
+  let refundedOrders = 0;
+  let totalItemsSold = 0;
+
+  // Process orders
+  orders.forEach((order) => {
+    // Parse monetary values (the transaction basis takes refunds off separately)
+    const currentTotal = transactionBasis
+      ? moneyAmount(order.totalPriceSet) ?? 0
+      : parseFloat(order.currentTotalPriceSet?.shopMoney?.amount || "0");
+    const refunded = parseFloat(
+      order.totalRefundedSet?.shopMoney?.amount || "0"
+    );
+
+    // Count items sold
+    order.lineItems?.nodes?.forEach((item) => {
+      const quantity = item.quantity || 0;
+      totalItemsSold += quantity;
+    });
+
+    // Set currency code from first order
+    if (!currencyCode) {
+      currencyCode = order.totalPriceSet?.shopMoney?.currencyCode;
+    }
+
+    // Accumulate metrics
+    totalSales += currentTotal;
+    if (!transactionBasis) {
+      totalRefunds += refunded;
+
+      if (refunded > 0) {
+        refundedOrders++;
+      }
+    }
+  });
+
+  // Refunds on the day they were issued
+  if (transactionBasis) {
+    totalRefunds = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+    totalSales -= totalRefunds;
+    refundedOrders = new Set(refunds.map(refund => refund.orderId)).size;
+  }
+
+  // Calculate AOV (Average Order Value)
+  const averageOrderValue = totalOrders > 0 ? totalSales / totalOrders : 0;
+
+  // Product Analysis
+  const productAnalysis = calculateProductAnalysis(orders, { packSizes });
+
+  return {
+    source: sourceName,
+    summary: {
+      totalSales: parseFloat(totalSales.toFixed(2)),
+      totalOrders,
+      averageOrderValue: parseFloat(averageOrderValue.toFixed(2)),
+      currencyCode,
+      totalRefunds: parseFloat(totalRefunds.toFixed(2)),
+      refundedOrders,
+      totalItemsSold,
+      ...(transactionBasis ? {
+        totalItemsRefunded: refunds.reduce((sum, refund) => sum + refund.quantity, 0),
+        // Part of totalRefunds for orders placed before the range
+        refundsOfEarlierOrders: round2(refunds.filter(refund => refund.fromEarlierOrder).reduce((sum, refund) => sum + refund.amount, 0)),
+      } : {}),
+    },
+    ...(classifier ? { categories: calculateCategoryBreakdown(orders, classifier) } : {}),
+    productAnalysis
+  };
+}
+
 /**
  * Calculate product analysis from orders
+ * Sales use the discounted unit price (line-level discounts taken off) and orders
+ * counts distinct orders, like calculateProductPerformance.
+ * Units are also counted individually (equivalentUnits = quantity × pack size), with
+ * the quantity per pack size in packs.
  * @param {Array} orders - Array of order objects
+ * @param {Object} options - { limit, packSizes } limit is products per list (default 10, Infinity for all)
  * @returns {Object} Product analysis data
  */
-export function calculateProductAnalysis(orders) {
+export function calculateProductAnalysis(orders, { limit = 10, packSizes = null } = {}) {
   const productMap = new Map();
+  const packSizeOf = packSizes ? (item) => packSizes.packSizeOf(item) : metafieldPackSize;
 
   orders.forEach((order) => {
     order.lineItems?.nodes?.forEach((item) => {
@@ -98,24 +450,23 @@ export function calculateProductAnalysis(orders) {
         ? `${productTitle} - ${variantTitle}`
         : productTitle;
       const quantity = item.quantity || 0;
-      const unitPrice = parseFloat(
-        item.originalUnitPriceSet?.shopMoney?.amount ||
-          item.discountedUnitPriceSet?.shopMoney?.amount ||
-          "0"
-      );
-      const totalPrice = quantity * unitPrice;
+      const unitPrice = moneyAmount(item.discountedUnitPriceSet) ?? moneyAmount(item.originalUnitPriceSet) ?? 0;
+      const totalPrice = lineItemRevenue(item);
       const unitCost = parseFloat(
         item.variant?.inventoryItem?.unitCost?.amount || "0"
       );
       const totalCost = quantity * unitCost;
+      const packSize = packSizeOf(item);
 
       if (productId) {
         if (productMap.has(productId)) {
           const existing = productMap.get(productId);
           existing.quantity += quantity;
+          existing.equivalentUnits += quantity * packSize;
+          addPacks(existing.packs, packSize, quantity);
           existing.totalSales += totalPrice;
           existing.totalCost += totalCost;
-          existing.orders += 1;
+          existing.orders.add(order.id);
         } else {
           productMap.set(productId, {
             productId,
@@ -126,11 +477,13 @@ export function calculateProductAnalysis(orders) {
             productType: item.variant?.product?.productType || "",
             vendor: item.variant?.product?.vendor || "",
             quantity,
+            equivalentUnits: quantity * packSize,
+            packs: new Map([[packSize, quantity]]),
             totalSales: totalPrice,
             totalCost,
             unitPrice,
             unitCost,
-            orders: 1,
+            orders: new Set([order.id]),
           });
         }
       }
@@ -142,31 +495,180 @@ export function calculateProductAnalysis(orders) {
     (a, b) => b.totalSales - a.totalSales
   );
 
-  const mostPopular = products.slice(0, 10); // Top 10
-  const leastPopular = products.slice(-10).reverse(); // Bottom 10
+  const mostPopular = products.slice(0, limit); // Top 10 by default
+  const leastPopular = products.slice(-limit).reverse(); // Bottom 10 by default
+
+  return {
+    mostPopular: mostPopular.map(toProductSummary),
+    leastPopular: leastPopular.map(toProductSummary),
+  };
+}
+
+// Helper function to shape one product of calculateProductAnalysis
+function toProductSummary(p) {
+  return {
+    productId: p.productId,
+    title: p.fullTitle,
+    description: p.description,
+    quantity: p.quantity,
+    equivalentUnits: p.equivalentUnits,
+    packs: Array.from(p.packs.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([packSize, quantity]) => ({ packSize, quantity })),
+    totalSales: parseFloat(p.totalSales.toFixed(2)),
+    unitPrice: parseFloat(p.unitPrice.toFixed(2)),
+    orders: p.orders.size,
+    sku: p.sku,
+    productType: p.productType,
+    vendor: p.vendor,
+  };
+}
+
+// Sort keys and groupings of the product performance report
+export const PERFORMANCE_SORTS = ['revenue', 'units', 'margin', 'orders'];
+export const PERFORMANCE_GROUPINGS = ['product', 'variant'];
 
+// Helper function for an empty product performance row
+function emptyPerformanceRow({ productId = null, variantId = null, title, variantTitle = null, sku = "", productType = "", vendor = "" }) {
   return {
-    mostPopular: mostPopular.map((p) => ({
-      title: p.fullTitle,
-      description: p.description,
-      quantity: p.quantity,
-      totalSales: parseFloat(p.totalSales.toFixed(2)),
-      unitPrice: parseFloat(p.unitPrice.toFixed(2)),
-      orders: p.orders,
-      sku: p.sku,
-      productType: p.productType,
-      vendor: p.vendor,
-    })),
-    leastPopular: leastPopular.map((p) => ({
-      title: p.fullTitle,
-      description: p.description,
-      quantity: p.quantity,
-      totalSales: parseFloat(p.totalSales.toFixed(2)),
-      unitPrice: parseFloat(p.unitPrice.toFixed(2)),
-      orders: p.orders,
-      sku: p.sku,
-      productType: p.productType,
-      vendor: p.vendor,
-    })),
+    productId,
+    variantId,
+    title,
+    variantTitle,
+    sku,
+    productType,
+    vendor,
+    units: 0,
+    equivalentUnits: 0,
+    grossRevenue: 0,
+    discounts: 0,
+    revenue: 0,
+    cost: 0,
+    unitsWithoutCost: 0,
+    orders: new Set(),
+  };
+}
+
+/**
+ * Calculate units, revenue, cost and margin of every product (or variant) sold,
+ * plus the catalog's active products that had no sales.
+ * - revenue: discounted unit price × quantity (line-level discounts taken off), grossRevenue before them
+ * - cost: unit cost × quantity, for the units whose variant has a unit cost (the rest counted in unitsWithoutCost)
+ * - margin: revenue - cost, marginPercent of revenue
+ * - orders: distinct orders with the product, however many lines it had on them
+ * Items without a variant (custom items) are grouped by title.
+ * @param {Array} orders - Array of order objects
+ * @param {Object} options - { groupBy, catalog, packSizes, sort, order } catalog from getShopCatalog, sort from PERFORMANCE_SORTS, order asc or desc
+ * @returns {Object} { items, totals } items sorted, totals over all items
+ */
+export function calculateProductPerformance(orders, { groupBy = 'product', catalog = [], packSizes = null, sort = 'revenue', order = 'desc' } = {}) {
+  const byVariant = groupBy === 'variant';
+  const packSizeOf = packSizes ? (item) => packSizes.packSizeOf(item) : metafieldPackSize;
+  const rows = new Map();
+  const allOrders = new Set();
+
+  orders.forEach(orderNode => {
+    orderNode.lineItems?.nodes?.forEach(item => {
+      const variant = item.variant;
+      const product = variant?.product;
+      const key = (byVariant ? variant?.id : product?.id) || `custom:${item.title}`;
+
+      const row = rows.get(key) || emptyPerformanceRow({
+        productId: product?.id || null,
+        variantId: byVariant ? variant?.id || null : null,
+        title: product?.title || item.title,
+        variantTitle: byVariant ? item.variantTitle || variant?.title || null : null,
+        sku: byVariant ? variant?.sku || "" : "",
+        productType: product?.productType || "",
+        vendor: product?.vendor || "",
+      });
+
+      const quantity = item.quantity || 0;
+      const grossRevenue = (moneyAmount(item.originalUnitPriceSet) ?? 0) * quantity;
+      const revenue = lineItemRevenue(item);
+      const unitCostAmount = variant?.inventoryItem?.unitCost?.amount;
+
+      row.units += quantity;
+      row.equivalentUnits += quantity * packSizeOf(item);
+      row.grossRevenue += grossRevenue;
+      row.revenue += revenue;
+      row.discounts += grossRevenue - revenue;
+      if (unitCostAmount === undefined || unitCostAmount === null) {
+        row.unitsWithoutCost += quantity;
+      } else {
+        row.cost += parseFloat(unitCostAmount) * quantity;
+      }
+      row.orders.add(orderNode.id);
+      allOrders.add(orderNode.id);
+      rows.set(key, row);
+    });
+  });
+
+  // Active catalog products and variants that sold nothing
+  catalog.forEach(variant => {
+    const product = variant.product;
+    if (product?.status && product.status !== 'ACTIVE') return;
+
+    const key = byVariant ? variant.id : product?.id;
+    if (!key || rows.has(key)) return;
+
+    rows.set(key, emptyPerformanceRow({
+      productId: product?.id || null,
+      variantId: byVariant ? variant.id : null,
+      title: product?.title || variant.title,
+      variantTitle: byVariant ? variant.title || null : null,
+      sku: byVariant ? variant.sku || "" : "",
+      productType: product?.productType || "",
+      vendor: product?.vendor || "",
+    }));
+  });
+
+  const items = Array.from(rows.values()).map(row => {
+    const margin = row.revenue - row.cost;
+    return {
+      productId: row.productId,
+      variantId: row.variantId,
+      title: row.title,
+      variantTitle: row.variantTitle,
+      sku: row.sku,
+      productType: row.productType,
+      vendor: row.vendor,
+      units: row.units,
+      equivalentUnits: row.equivalentUnits,
+      grossRevenue: round2(row.grossRevenue),
+      discounts: round2(row.discounts),
+      revenue: round2(row.revenue),
+      cost: round2(row.cost),
+      margin: round2(margin),
+      marginPercent: row.revenue > 0 ? round2((margin / row.revenue) * 100) : 0,
+      unitsWithoutCost: row.unitsWithoutCost,
+      orders: row.orders.size,
+    };
+  });
+
+  const direction = order === 'asc' ? 1 : -1;
+  items.sort((a, b) => (a[sort] - b[sort]) * direction || a.title.localeCompare(b.title));
+
+  const sum = (field) => items.reduce((total, item) => total + item[field], 0);
+  const revenue = sum('revenue');
+  const cost = sum('cost');
+
+  return {
+    items,
+    totals: {
+      items: items.length,
+      itemsWithoutSales: items.filter(item => item.units === 0).length,
+      units: sum('units'),
+      equivalentUnits: sum('equivalentUnits'),
+      grossRevenue: round2(sum('grossRevenue')),
+      discounts: round2(sum('discounts')),
+      revenue: round2(revenue),
+      cost: round2(cost),
+      margin: round2(revenue - cost),
+      marginPercent: revenue > 0 ? round2(((revenue - cost) / revenue) * 100) : 0,
+      unitsWithoutCost: sum('unitsWithoutCost'),
+      // Distinct orders with any of the items (an order with two products counts once)
+      orders: allOrders.size,
+    },
   };
 }
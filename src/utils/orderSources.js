@@ -0,0 +1,56 @@
+// Order source utilities for grouping orders by where they came from
+
+// Groupings accepted by /sales/by-source?groupBy=
+// - source: the order's sourceName (web, pos, shopify_draft_order, an app id, ...)
+// - channel: the sales channel the order was placed on (channelInformation)
+// - app: the app that created the order
+export const SOURCE_GROUPINGS = ['source', 'channel', 'app'];
+
+// Key for orders that don't carry the grouped field
+export const UNKNOWN_SOURCE = "unknown";
+
+/**
+ * Get the group key of an order
+ * @param {Object} order - Order with sourceName, app and channelInformation
+ * @param {string} groupBy - One of SOURCE_GROUPINGS
+ * @returns {string} Group key
+ */
+export function getOrderSourceKey(order, groupBy = 'source') {
+  switch (groupBy) {
+    case 'channel': {
+      const channel = order.channelInformation?.channelDefinition;
+      return channel?.handle || channel?.channelName || UNKNOWN_SOURCE;
+    }
+    case 'app':
+      return order.app?.name || UNKNOWN_SOURCE;
+    default:
+      return order.sourceName || UNKNOWN_SOURCE;
+  }
+}
+
+/**
+ * Group orders by source, channel or app
+ * @param {Array} orders - Array of order objects
+ * @param {string} groupBy - One of SOURCE_GROUPINGS
+ * @returns {Map} Group key to its orders, in order of first appearance
+ */
+export function groupOrdersBySource(orders, groupBy = 'source') {
+  const groups = new Map();
+
+  orders.forEach(order => {
+    const key = getOrderSourceKey(order, groupBy);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(order);
+  });
+
+  return groups;
+}
+
+/**
+ * Get the location an order was placed at
+ * @param {Object} order - Order with retailLocation (API 2024-04+) or physicalLocation
+ * @returns {Object|null} { id, name }, or null for orders without one (e.g. online orders)
+ */
+export function getOrderLocation(order) {
+  return order.retailLocation || order.physicalLocation || null;
+}
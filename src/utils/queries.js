@@ -1,3 +1,5 @@
+import { config } from '../config/environment.js';
+
 // Example GraphQL queries for Shopify data
 // You can use these as templates or modify them for your specific needs
 
@@ -11,7 +13,7 @@ export const QUERIES = {
         email
         domain
         currencyCode
-        timezone
+        ianaTimezone
         plan {
           displayName
         }
@@ -471,6 +473,38 @@ export const QUERIES = {
     }
   `,
 
+  // Product variants with the product they belong to and their unit cost,
+  // for the catalog the product performance report lists unsold variants from
+  catalogVariants: `
+    query getCatalogVariants($first: Int!, $after: String) {
+      productVariants(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            title
+            sku
+            price
+            inventoryItem {
+              unitCost { amount }
+            }
+            product {
+              id
+              title
+              productType
+              vendor
+              status
+            }
+          }
+          cursor
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `,
+
   // Analytics queries (if available)
   analytics: {
     // Note: Analytics queries may require different permissions
@@ -497,6 +531,207 @@ export const QUERIES = {
   }
 };
 
+// Location an order was placed at (POS stores, vending machines). API 2024-04
+// replaced physicalLocation with retailLocation; read it with getOrderLocation.
+const ORDER_LOCATION_FIELD = config.apiVersion >= '2024-04' ? 'retailLocation' : 'physicalLocation';
+
+// Order fields used by every sales/metrics orders query, so the client, the
+// sales routes and the warehouse all work with the same order shape.
+// Split in two so the bulk export can nest line items the way bulk queries require.
+export const ORDER_SUMMARY_FIELDS = `
+  id
+  name
+  createdAt
+  updatedAt
+  cancelledAt
+  displayFinancialStatus
+  sourceName
+  app {
+    id
+    name
+  }
+  channelInformation {
+    channelDefinition {
+      handle
+      channelName
+    }
+  }
+  ${ORDER_LOCATION_FIELD} {
+    id
+    name
+  }
+  customer {
+    id
+    email
+    firstName
+    lastName
+  }
+  totalPriceSet { shopMoney { amount currencyCode } }
+  currentTotalPriceSet { shopMoney { amount currencyCode } }
+  totalRefundedSet { shopMoney { amount currencyCode } }
+  subtotalPriceSet { shopMoney { amount currencyCode } }
+  currentSubtotalPriceSet { shopMoney { amount currencyCode } }
+  totalDiscountsSet { shopMoney { amount currencyCode } }
+  totalTaxSet { shopMoney { amount currencyCode } }
+  totalShippingPriceSet { shopMoney { amount currencyCode } }
+  refunds {
+    id
+    createdAt
+    note
+    totalRefundedSet { shopMoney { amount currencyCode } }
+  }
+`;
+
+// Variant metafield holding the pack size ("namespace.key", e.g. custom.pack_size)
+const [PACK_SIZE_NAMESPACE, PACK_SIZE_KEY] = config.products.packSizeMetafield.split('.');
+
+export const LINE_ITEM_METRICS_FIELDS = `
+  id
+  quantity
+  currentQuantity
+  title
+  variantTitle
+  originalUnitPriceSet { shopMoney { amount currencyCode } }
+  discountedUnitPriceSet { shopMoney { amount currencyCode } }
+  variant {
+    id
+    title
+    sku
+    price
+    inventoryItem {
+      unitCost { amount }
+    }
+    packSize: metafield(namespace: ${JSON.stringify(PACK_SIZE_NAMESPACE)}, key: ${JSON.stringify(PACK_SIZE_KEY || '')}) {
+      value
+    }
+    product {
+      id
+      title
+      description
+      handle
+      productType
+      vendor
+      tags
+    }
+  }
+`;
+
+// Refunded line items are selected only in paged queries: bulk queries can't
+// nest a connection inside the refunds list
+export const ORDER_METRICS_FIELDS = `
+  ${ORDER_SUMMARY_FIELDS}
+  refunds {
+    refundLineItems(first: 50) {
+      nodes {
+        quantity
+        subtotalSet { shopMoney { amount currencyCode } }
+        lineItem { id }
+      }
+    }
+  }
+  lineItems(first: 50) {
+    pageInfo { hasNextPage endCursor }
+    nodes {
+      ${LINE_ITEM_METRICS_FIELDS}
+    }
+  }
+`;
+
+// The rest of an order's line items, for orders with more than the first 50
+export const ORDER_LINE_ITEMS_QUERY = `
+  query GetOrderLineItems($id: ID!, $cursor: String, $first: Int!) {
+    node(id: $id) {
+      ... on Order {
+        lineItems(first: $first, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            ${LINE_ITEM_METRICS_FIELDS}
+          }
+        }
+      }
+    }
+  }
+`;
+
+// One order by GID, e.g. to refresh it after a webhook
+export const ORDER_BY_ID_QUERY = `
+  query GetOrder($id: ID!) {
+    order(id: $id) {
+      ${ORDER_METRICS_FIELDS}
+    }
+  }
+`;
+
+// One product by GID with the fields the warehouse stores
+export const PRODUCT_BY_ID_QUERY = `
+  query GetProduct($id: ID!) {
+    product(id: $id) {
+      id
+      title
+      handle
+      description
+      productType
+      vendor
+      status
+      tags
+      createdAt
+      updatedAt
+      variants(first: 100) {
+        nodes {
+          id
+          title
+          sku
+          price
+          inventoryQuantity
+          inventoryItem {
+            unitCost { amount }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// One page of orders matching a search query, sorted by any OrderSortKeys value
+export const ORDERS_PAGE_QUERY = `
+  query GetOrdersPage($cursor: String, $q: String!, $sortKey: OrderSortKeys!, $first: Int!) {
+    orders(first: $first, after: $cursor, query: $q, sortKey: $sortKey) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        ${ORDER_METRICS_FIELDS}
+      }
+    }
+  }
+`;
+
+/**
+ * Build the bulk operation query for orders matching a search query.
+ * Bulk queries use edges/node and no page sizes; nested line items come back
+ * as separate JSONL lines pointing at their order through __parentId.
+ * @param {string} queryString - Orders search query
+ * @returns {string} Bulk query
+ */
+export function buildBulkOrdersQuery(queryString) {
+  return `
+    {
+      orders(query: ${JSON.stringify(queryString)}, sortKey: CREATED_AT) {
+        edges {
+          node {
+            ${ORDER_SUMMARY_FIELDS}
+            lineItems {
+              edges {
+                node {
+                  ${LINE_ITEM_METRICS_FIELDS}
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+}
+
 // Helper function to build custom queries
 export function buildCustomQuery(type, fields, filters = {}) {
   const filterString = Object.keys(filters).length > 0 
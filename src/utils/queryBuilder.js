@@ -15,16 +15,18 @@ export function buildQueryParts(startISO, endISO, shopType = "ecommerce") {
     "-test:true",
   ];
 
-  // Add channel filtering for Brand Stores
+  return [...qParts, ...channelQueryParts(shopType)];
+}
+
+// Helper function for the channel filter of shops that share a store (Brand Stores)
+function channelQueryParts(shopType) {
   const shopConfig = getShopConfig(shopType);
-  if (shopConfig.channel) {
-    qParts.push(`channel:"${shopConfig.channel}"`);
-    console.log(
-      `🔍 [${shopType}] Added channel filter: channel:"${shopConfig.channel}"`
-    );
-  }
+  if (!shopConfig.channel) return [];
 
-  return qParts;
+  console.log(
+    `🔍 [${shopType}] Added channel filter: channel:"${shopConfig.channel}"`
+  );
+  return [`channel:"${shopConfig.channel}"`];
 }
 
 /**
@@ -38,3 +40,21 @@ export function buildOrderQueryString(startISO, endISO, shopType = "ecommerce")
   const qParts = buildQueryParts(startISO, endISO, shopType);
   return qParts.join(" ");
 }
+
+
+/**
+ * Build the query for orders placed before a range that changed after it started.
+ * A refund updates its order, so refunds issued in the range on earlier orders
+ * are among these. Cancelled orders are kept: cancelling usually refunds.
+ * @param {string} startISO - Start of the range in ISO format
+ * @param {string} shopType - Type of shop
+ * @returns {string} Query string for orders
+ */
+export function buildEarlierOrdersQueryString(startISO, shopType = "ecommerce") {
+  return [
+    `updated_at:>=${startISO}`,
+    `created_at:<${startISO}`,
+    "-test:true",
+    ...channelQueryParts(shopType),
+  ].join(" ");
+}
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+import { syncOrders, syncAllShops } from './src/services/syncService.js';
+import { closeStorage } from './src/services/storage/index.js';
+import { getAvailableShops } from './src/config/shopConfigs.js';
+
+/**
+ * Incremental order sync into storage:
+ * pulls orders updated since each shop's last watermark and upserts them,
+ * so refunds and cancellations on older orders reach the stored history.
+ */
+
+const USAGE = `
+🔄 Incremental Order Sync
+
+Usage:
+  node sync.js [shop-type|all] [--since YYYY-MM-DD]
+
+Examples:
+  node sync.js                          # every shop from its watermark
+  node sync.js vending
+  node sync.js vending --since 2025-01-01
+  node sync.js all --since 2025-01-01   # every shop from that date
+
+Available shops: ${getAvailableShops().join(', ')}
+`;
+
+function parseArgs(args) {
+  const options = { shopType: "all", since: null };
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--since') {
+      const value = args[++i];
+      const date = new Date(value);
+      if (!value || Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid --since date: ${value || "missing"}`);
+      }
+      options.since = date.toISOString();
+    } else if (args[i].startsWith('--')) {
+      throw new Error(`Unknown argument: ${args[i]}`);
+    } else {
+      positionals.push(args[i]);
+    }
+  }
+
+  if (positionals.length > 1) {
+    throw new Error(`Unexpected arguments: ${positionals.slice(1).join(' ')}`);
+  }
+  if (positionals[0]) options.shopType = positionals[0];
+  if (options.shopType !== "all" && !getAvailableShops().includes(options.shopType)) {
+    throw new Error(`Unknown shop: ${options.shopType}`);
+  }
+
+  return options;
+}
+
+// Main execution
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    if (options.shopType === "all") {
+      const results = await syncAllShops({ requestId: "cli", since: options.since });
+      console.log('\n📊 SYNC SUMMARY');
+      Object.entries(results).forEach(([shop, result]) => {
+        console.log(result.error
+          ? `   ❌ ${shop}: ${result.error}`
+          : `   ✅ ${shop}: ${result.ordersSynced} orders, watermark ${result.watermark}`);
+      });
+    } else {
+      await syncOrders(options.shopType, { requestId: "cli", since: options.since });
+    }
+
+    await closeStorage();
+  } catch (error) {
+    console.error('Execution failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}